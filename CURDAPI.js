@@ -1,10 +1,20 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const { User, authenticateToken } = require('./jwtbcrypt');
+const { EDITABLE_FIELDS, editableFields } = require('./taskFields');
+const { prepareRecurrence, nextInstance } = require('./recurrence');
 const app = express();
-const PORT = 3000;
+const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+// PATCH bodies arrive as JSON Merge Patch or JSON Patch documents
+app.use(express.json({
+    type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
+}));
+
+// Every task, project and label route requires a bearer token issued by the
+// auth server (jwtbcrypt.js)
+app.use(['/tasks', '/projects', '/labels'], authenticateToken);
 
 // MongoDB Connection
 mongoose.connect('mongodb://localhost:27017/taskdb', {
@@ -12,6 +22,32 @@ mongoose.connect('mongodb://localhost:27017/taskdb', {
     useUnifiedTopology: true
 });
 
+// Recurrence rule, modelled on the iCalendar RRULE subset we support
+// (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL)
+const recurrenceSchema = new mongoose.Schema({
+    freq: {
+        type: String,
+        enum: ['DAILY', 'WEEKLY', 'MONTHLY'],
+        required: true
+    },
+    interval: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    byDay: [{
+        type: String,
+        enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+    }],
+    byMonthDay: Number,
+    // Occurrences left including this one
+    count: {
+        type: Number,
+        min: 1
+    },
+    until: Date
+}, { _id: false });
+
 // Task Schema
 const taskSchema = new mongoose.Schema({
     title: {
@@ -26,66 +62,2248 @@ const taskSchema = new mongoose.Schema({
     createdAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    // Id of the auth-server user who created the task
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+    // Other users the owner has shared the task with
+    sharedWith: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        access: {
+            type: String,
+            enum: ['viewer', 'editor'],
+            default: 'viewer'
+        }
+    }],
+    // Parent task when this task is a subtask; null for top-level tasks
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null,
+        index: true
+    },
+    // Tasks that must be completed before this one can be
+    blockedBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    }],
+    dueDate: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'urgent'],
+        default: 'medium'
+    },
+    recurrence: {
+        type: recurrenceSchema,
+        default: null
+    },
+    // Task created when this recurring task was completed
+    nextOccurrence: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        default: null
+    },
+    // Minutes before dueDate at which the reminder is sent
+    remindBefore: {
+        type: Number,
+        min: 0,
+        max: 7 * 24 * 60,
+        default: 60
+    },
+    reminderSentAt: {
+        type: Date,
+        default: null
+    },
+    // Set when the task is moved to the trash; trashed tasks are hidden from
+    // every normal query and purged after TRASH_RETENTION_DAYS
+    deletedAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null,
+        index: true
+    },
+    labels: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Label'
+    }]
+}, {
+    // __v is the task's version: it backs ETags/If-Match and every write bumps it
+    optimisticConcurrency: true
 });
 
+taskSchema.index({ 'sharedWith.user': 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ completed: 1, reminderSentAt: 1, dueDate: 1 });
+taskSchema.index({ labels: 1 });
+// Full-text index for GET /tasks/search; title matches weigh more
+taskSchema.index(
+    { title: 'text', description: 'text' },
+    { name: 'task_text', weights: { title: 5, description: 1 } }
+);
+
 // Task Model
 const Task = mongoose.model('Task', taskSchema);
 
-// Routes
+// Project Schema - groups a user's tasks
+const projectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
-// 1. GET /tasks - List all tasks
-app.get('/tasks', async (req, res) => {
-    try {
-        const tasks = await Task.find();
-        res.json(tasks);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+// Project Model
+const Project = mongoose.model('Project', projectSchema);
+
+// Label Schema - tags a user can put on any number of tasks
+const labelSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    color: {
+        type: String,
+        match: /^#[0-9a-fA-F]{6}$/,
+        default: '#808080'
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
     }
 });
 
-// 2. POST /tasks - Create a task
-app.post('/tasks', async (req, res) => {
+labelSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Label Model
+const Label = mongoose.model('Label', labelSchema);
+
+// Task Revision Schema - one record per change made through the API
+const taskRevisionSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    // 1 for the create, then counting up per task
+    revision: {
+        type: Number,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'restore', 'purge', 'revert', 'share', 'unshare'],
+        required: true
+    },
+    // Auth-server user who made the change; null for the server itself
+    // (e.g. the trash purger)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    // Editable fields after the change; what a revert restores
+    snapshot: mongoose.Schema.Types.Mixed,
+    // Revision a "revert" rolled back to
+    revertedTo: Number
+});
+
+taskRevisionSchema.index({ task: 1, revision: -1 }, { unique: true });
+
+// Task Revision Model
+const TaskRevision = mongoose.model('TaskRevision', taskRevisionSchema);
+
+// ========================
+// LIST QUERY HELPERS
+// ========================
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Fields clients may sort on, with the type used to decode cursor values
+const SORTABLE_FIELDS = {
+    title: String,
+    completed: Boolean,
+    createdAt: Date,
+    dueDate: Date
+};
+
+// Fields clients may request through ?fields=
+const SELECTABLE_FIELDS = [
+    'title', 'description', 'completed', 'createdAt', 'parent', 'blockedBy',
+    'dueDate', 'priority', 'recurrence', 'remindBefore', 'project', 'labels'
+];
+
+// Every query parameter GET /tasks understands; anything else is rejected
+const LIST_PARAMS = [
+    'page', 'limit', 'cursor', 'sort', 'fields', 'scope',
+    'completed', 'createdAfter', 'createdBefore', 'title', 'parent',
+    'dueAfter', 'dueBefore', 'priority', 'project', 'labels'
+];
+
+// Errors carrying the HTTP status the route should respond with
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+const badRequest = (message) => httpError(400, message);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Copy of `fields` without the undefined ones, so an update only touches
+// what the client sent
+const definedFields = (fields) => Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+);
+
+// ========================
+// OWNERSHIP HELPERS
+// ========================
+
+// These filters only match live tasks; the trash routes use trashedBy.
+
+// Tasks the user owns
+const ownedBy = (userId) => ({ owner: userId, deletedAt: null });
+
+// Tasks the user owns or that were shared with them
+const readableBy = (userId) => ({
+    $or: [{ owner: userId }, { 'sharedWith.user': userId }],
+    deletedAt: null
+});
+
+// Tasks the user owns or that were shared with them as editor
+const editableBy = (userId) => ({
+    $or: [
+        { owner: userId },
+        { sharedWith: { $elemMatch: { user: userId, access: 'editor' } } }
+    ],
+    deletedAt: null
+});
+
+// Tasks the user owns that are in the trash
+const trashedBy = (userId) => ({ owner: userId, deletedAt: { $ne: null } });
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+        throw badRequest(`${name} must be a valid date`);
+    }
+    return date;
+};
+
+const parsePositiveInt = (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw badRequest(`${name} must be a positive integer`);
+    }
+    return number;
+};
+
+// Build a Mongo filter from whitelisted query parameters only, limited to
+// the tasks the user can see (?scope=all|own|shared, default all)
+const buildTaskFilter = (query, userId) => {
+    const scope = query.scope === undefined ? 'all' : query.scope;
+    const scopes = {
+        all: readableBy(userId),
+        own: ownedBy(userId),
+        shared: { 'sharedWith.user': userId, deletedAt: null }
+    };
+    if (typeof scope !== 'string' || !scopes[scope]) {
+        throw badRequest('scope must be one of all, own, shared');
+    }
+    const filter = { ...scopes[scope] };
+
+    if (query.completed !== undefined) {
+        if (query.completed !== 'true' && query.completed !== 'false') {
+            throw badRequest('completed must be true or false');
+        }
+        filter.completed = query.completed === 'true';
+    }
+
+    if (query.createdAfter !== undefined || query.createdBefore !== undefined) {
+        filter.createdAt = {};
+        if (query.createdAfter !== undefined) {
+            filter.createdAt.$gte = parseDate(query.createdAfter, 'createdAfter');
+        }
+        if (query.createdBefore !== undefined) {
+            filter.createdAt.$lte = parseDate(query.createdBefore, 'createdBefore');
+        }
+    }
+
+    if (query.dueAfter !== undefined || query.dueBefore !== undefined) {
+        filter.dueDate = {};
+        if (query.dueAfter !== undefined) {
+            filter.dueDate.$gte = parseDate(query.dueAfter, 'dueAfter');
+        }
+        if (query.dueBefore !== undefined) {
+            filter.dueDate.$lte = parseDate(query.dueBefore, 'dueBefore');
+        }
+    }
+
+    // ?priority=high,urgent
+    if (query.priority !== undefined) {
+        const levels = typeof query.priority === 'string' ? query.priority.split(',') : [];
+        const allowed = Task.schema.path('priority').enumValues;
+        if (!levels.length || levels.some(level => !allowed.includes(level))) {
+            throw badRequest(`priority must be a comma-separated list of ${allowed.join(', ')}`);
+        }
+        filter.priority = { $in: levels };
+    }
+
+    if (query.title !== undefined) {
+        if (typeof query.title !== 'string') {
+            throw badRequest('title must be a string');
+        }
+        filter.title = { $regex: escapeRegex(query.title), $options: 'i' };
+    }
+
+    // ?parent=<id> lists a task's subtasks, ?parent=none only top-level tasks
+    if (query.parent !== undefined) {
+        if (query.parent === 'none') {
+            filter.parent = null;
+        } else if (mongoose.Types.ObjectId.isValid(query.parent)) {
+            filter.parent = query.parent;
+        } else {
+            throw badRequest('parent must be a task id or "none"');
+        }
+    }
+
+    // ?project=<id> or ?project=none for tasks outside any project
+    if (query.project !== undefined) {
+        if (query.project === 'none') {
+            filter.project = null;
+        } else if (mongoose.Types.ObjectId.isValid(query.project)) {
+            filter.project = query.project;
+        } else {
+            throw badRequest('project must be a project id or "none"');
+        }
+    }
+
+    // ?labels=<id>,<id> matches tasks carrying all of the listed labels
+    if (query.labels !== undefined) {
+        const labels = typeof query.labels === 'string' ? query.labels.split(',').filter(Boolean) : [];
+        if (!labels.length || !labels.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            throw badRequest('labels must be a comma-separated list of label ids');
+        }
+        filter.labels = { $all: labels };
+    }
+
+    return filter;
+};
+
+// "-createdAt,title" -> [['createdAt', -1], ['title', 1], ['_id', -1]]
+// _id is always appended as a tie-breaker so cursors are stable.
+const parseSort = (value = '-createdAt') => {
+    if (typeof value !== 'string') {
+        throw badRequest('sort must be a comma-separated list of fields');
+    }
+    const entries = value.split(',').filter(Boolean).map(part => {
+        const direction = part.startsWith('-') ? -1 : 1;
+        const field = part.replace(/^[-+]/, '');
+        if (!SORTABLE_FIELDS[field]) {
+            throw badRequest(`Cannot sort by "${field}"`);
+        }
+        return [field, direction];
+    });
+    const last = entries.length ? entries[entries.length - 1][1] : -1;
+    entries.push(['_id', last]);
+    return entries;
+};
+
+const parseFields = (value) => {
+    if (value === undefined) return null;
+    if (typeof value !== 'string') {
+        throw badRequest('fields must be a comma-separated list of fields');
+    }
+    const fields = value.split(',').filter(Boolean);
+    const unknown = fields.filter(field => !SELECTABLE_FIELDS.includes(field));
+    if (unknown.length) {
+        throw badRequest(`Unknown field(s): ${unknown.join(', ')}`);
+    }
+    return fields;
+};
+
+// Cursors are opaque base64url strings holding the sort key values of a
+// boundary document and the direction to page in.
+const encodeCursor = (doc, sortEntries, direction) => {
+    const values = sortEntries.map(([field]) => doc[field]);
+    return Buffer.from(JSON.stringify({ v: values, d: direction })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortEntries) => {
+    let decoded;
     try {
-        const task = new Task(req.body);
-        await task.save();
-        res.status(201).json(task);
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        throw badRequest('Invalid cursor');
+    }
+    if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== sortEntries.length ||
+        !['next', 'prev'].includes(decoded.d)) {
+        throw badRequest('Invalid cursor');
     }
+    const values = sortEntries.map(([field], i) => {
+        const raw = decoded.v[i];
+        if (field === '_id') {
+            if (!mongoose.Types.ObjectId.isValid(raw)) throw badRequest('Invalid cursor');
+            return new mongoose.Types.ObjectId(raw);
+        }
+        if (raw === null) return null;
+        if (SORTABLE_FIELDS[field] === Date) return parseDate(raw, 'cursor');
+        return raw;
+    });
+    return { values, direction: decoded.d };
+};
+
+// Condition on one field matching values strictly after `value` in sort
+// order. Mongo sorts null first, and $gt/$lt never match null, so nullable
+// fields (e.g. dueDate) need special handling. Returns null if nothing can follow.
+const afterValue = (value, ascending) => {
+    if (value === null) return ascending ? { $ne: null } : null;
+    return ascending ? { $gt: value } : { $not: { $gte: value } };
+};
+
+// Keyset condition: documents strictly after (or before) the cursor position
+const buildCursorFilter = (sortEntries, values, reverse) => ({
+    $or: sortEntries.map(([field, direction], i) => {
+        const condition = afterValue(values[i], (direction === 1) !== reverse);
+        if (!condition) return null;
+        const clause = {};
+        for (let j = 0; j < i; j++) {
+            clause[sortEntries[j][0]] = values[j];
+        }
+        clause[field] = condition;
+        return clause;
+    }).filter(Boolean)
 });
 
-// 3. PUT /tasks/:id - Update a task
-app.put('/tasks/:id', async (req, res) => {
-    try {
-        const task = await Task.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
+// Parse and validate every GET /tasks query parameter
+const parseListQuery = (query, userId) => {
+    const unknown = Object.keys(query).filter(key => !LIST_PARAMS.includes(key));
+    if (unknown.length) {
+        throw badRequest(`Unknown query parameter(s): ${unknown.join(', ')}`);
+    }
+    if (query.page !== undefined && query.cursor !== undefined) {
+        throw badRequest('Use either page or cursor, not both');
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parsePositiveInt(query.limit, 'limit');
+    if (limit > MAX_PAGE_SIZE) {
+        throw badRequest(`limit cannot exceed ${MAX_PAGE_SIZE}`);
+    }
+
+    const sortEntries = parseSort(query.sort);
+    return {
+        filter: buildTaskFilter(query, userId),
+        sortEntries,
+        fields: parseFields(query.fields),
+        limit,
+        page: query.page === undefined ? 1 : parsePositiveInt(query.page, 'page'),
+        cursor: query.cursor === undefined ? null : decodeCursor(String(query.cursor), sortEntries)
+    };
+};
+
+const buildLink = (req, overrides) => {
+    const params = new URLSearchParams();
+    Object.entries({ ...req.query, ...overrides }).forEach(([key, value]) => {
+        if (value !== undefined) params.set(key, value);
+    });
+    return `${req.baseUrl}${req.path}?${params.toString()}`;
+};
+
+// ========================
+// SUBTASK & DEPENDENCY HELPERS
+// ========================
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Breadth-first walk over `field` links (parent or blockedBy) starting at
+// startIds. Returns every reached task with its distance from the start.
+const walkLinks = async (startIds, field, projection = null, session = null) => {
+    const seen = new Map();
+    let frontier = startIds.map(String);
+    let depth = 1;
+
+    while (frontier.length) {
+        const docs = await Task.find({ _id: { $in: frontier } }, projection).session(session).lean();
+        const next = [];
+        docs.forEach(doc => {
+            seen.set(String(doc._id), { ...doc, depth });
+            [].concat(doc[field] || []).forEach(id => {
+                if (!seen.has(String(id))) next.push(String(id));
+            });
+        });
+        frontier = [...new Set(next)].filter(id => !seen.has(id));
+        depth++;
+    }
+
+    return [...seen.values()];
+};
+
+// True when following `field` links from startIds leads back to taskId
+const createsCycle = async (taskId, startIds, field, session = null) => {
+    if (startIds.some(id => sameId(id, taskId))) return true;
+    const reached = await walkLinks(startIds, field, field, session);
+    return reached.some(doc => sameId(doc._id, taskId));
+};
+
+// Values mongoose casts to a Boolean
+const TRUE_VALUES = [true, 'true', 1, '1', 'yes'];
+const FALSE_VALUES = [false, 'false', 0, '0', 'no'];
+
+// Validate parent/blockedBy/project/labels changes and the "no completing
+// while blocked" rule for `task` (an existing or not-yet-saved document).
+// Projects and labels must belong to the task's owner.
+const validateRelations = async (task, changes, userId, session = null) => {
+    // Unchanged links were validated when they were made (and may point at
+    // trashed tasks), so only new ones are checked
+    if (changes.parent !== undefined && changes.parent !== null && !sameId(changes.parent, task.parent)) {
+        if (!mongoose.Types.ObjectId.isValid(changes.parent)) {
+            throw badRequest('parent must be a task id');
+        }
+        const parent = await Task.findOne({ _id: changes.parent, ...editableBy(userId) }, '_id')
+            .session(session)
+            .lean();
+        if (!parent) {
+            throw httpError(404, 'Parent task not found');
+        }
+        if (await createsCycle(task._id, [changes.parent], 'parent', session)) {
+            throw badRequest('A task cannot be nested under itself or its own subtasks');
         }
-        res.json(task);
-    } catch (error) {
-        res.status(400).json({ error: error.message });
     }
-});
 
-// 4. DELETE /tasks/:id - Delete a task
-app.delete('/tasks/:id', async (req, res) => {
-    try {
-        const task = await Task.findByIdAndDelete(req.params.id);
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
+    if (changes.blockedBy !== undefined) {
+        if (!Array.isArray(changes.blockedBy) ||
+            !changes.blockedBy.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            throw badRequest('blockedBy must be an array of task ids');
+        }
+        changes.blockedBy = [...new Set(changes.blockedBy.map(String))];
+        const added = changes.blockedBy.filter(id => !(task.blockedBy || []).some(existing => sameId(existing, id)));
+
+        const found = await Task.countDocuments({ _id: { $in: added }, ...readableBy(userId) })
+            .session(session);
+        if (found !== added.length) {
+            throw httpError(404, 'One or more blocking tasks were not found');
+        }
+        if (added.length && await createsCycle(task._id, added, 'blockedBy', session)) {
+            throw badRequest('Dependency cycle detected');
         }
-        res.json({ message: 'Task deleted successfully' });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
     }
-});
 
-// Start Server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+    if (changes.project !== undefined && changes.project !== null && !sameId(changes.project, task.project)) {
+        if (!mongoose.Types.ObjectId.isValid(changes.project)) {
+            throw badRequest('project must be a project id');
+        }
+        const project = await Project.findOne({ _id: changes.project, owner: task.owner }, '_id')
+            .session(session)
+            .lean();
+        if (!project) {
+            throw httpError(404, 'Project not found');
+        }
+    }
+
+    if (changes.labels !== undefined) {
+        if (!Array.isArray(changes.labels) ||
+            !changes.labels.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            throw badRequest('labels must be an array of label ids');
+        }
+        changes.labels = [...new Set(changes.labels.map(String))];
+        const found = await Label.countDocuments({ _id: { $in: changes.labels }, owner: task.owner })
+            .session(session);
+        if (found !== changes.labels.length) {
+            throw httpError(404, 'One or more labels were not found');
+        }
+    }
+
+    if (changes.completed !== undefined && changes.completed !== null) {
+        // Accept what the schema would cast ("true", 1, ...) so the check
+        // below can't be sidestepped by sending a string
+        if (TRUE_VALUES.includes(changes.completed)) changes.completed = true;
+        else if (FALSE_VALUES.includes(changes.completed)) changes.completed = false;
+        else throw badRequest('completed must be true or false');
+    }
+
+    const completed = changes.completed !== undefined ? changes.completed : task.completed;
+    if (completed === true && (changes.completed !== undefined || changes.blockedBy !== undefined)) {
+        const blockers = changes.blockedBy !== undefined ? changes.blockedBy : task.blockedBy;
+        // Trashed blockers no longer block
+        const open = await Task.find({ _id: { $in: blockers }, completed: false, deletedAt: null }, 'title')
+            .session(session)
+            .lean();
+        if (open.length) {
+            throw Object.assign(
+                httpError(409, 'Task cannot be completed while it is blocked by open tasks'),
+                { blockers: open }
+            );
+        }
+    }
+};
+
+// ========================
+// RECURRING TASKS
+// ========================
+
+// Parsing and stepping through rules lives in recurrence.js
+
+// Create the next instance of a recurring task that was just completed.
+// Returns the new task, or null if the rule is exhausted or it already exists.
+const spawnNextOccurrence = async (task, session = null) => {
+    const fields = nextInstance(task);
+    if (!fields) return null;
+
+    const next = new Task(fields);
+    await next.save({ session });
+
+    // Claim the slot only once the task exists, so a failed create leaves
+    // nothing pointing at a missing task. Completing the same task twice
+    // never keeps two: the losing request removes its copy.
+    const claimed = await Task.findOneAndUpdate(
+        { _id: task._id, nextOccurrence: null },
+        { nextOccurrence: next._id, $inc: { __v: 1 } },
+        { session }
+    );
+    if (!claimed) {
+        await Task.deleteOne({ _id: next._id }, { session });
+        return null;
+    }
+    return next;
+};
+
+// ========================
+// VERSIONING & PATCH HELPERS
+// ========================
+
+const etagFor = (task) => `"${task.__v}"`;
+
+// Versions listed in an If-Match header; null when absent or "*".
+// Weak tags never match, as If-Match requires strong comparison.
+const parseIfMatch = (header) => {
+    if (!header || header.trim() === '*') return null;
+    return header.split(',')
+        .map(tag => /^"(\d+)"$/.exec(tag.trim()))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+};
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const pick = (source, fields) => {
+    const picked = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) picked[field] = source[field];
+    });
+    return picked;
+};
+
+// The editable part of a task as plain JSON: what PATCH documents apply to
+const editableRepresentation = (task) => clone(pick(task, EDITABLE_FIELDS));
+
+// Full PUT replacement: every editable field, with defaults for missing ones
+const buildReplacement = (body) => {
+    const blank = new Task().toObject();
+    const changes = prepareRecurrence(editableFields(body));
+    EDITABLE_FIELDS.forEach(field => {
+        if (changes[field] === undefined) {
+            changes[field] = blank[field] === undefined ? null : blank[field];
+        }
+    });
+    return changes;
+};
+
+const deepEqual = (a, b) => {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+};
+
+// RFC 7386 JSON Merge Patch
+const applyMergePatch = (target, patch) => {
+    if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+        return clone(patch);
+    }
+    const result = target !== null && typeof target === 'object' && !Array.isArray(target)
+        ? { ...target }
+        : {};
+    Object.entries(patch).forEach(([key, value]) => {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    });
+    return result;
+};
+
+// RFC 6901 JSON Pointer -> list of reference tokens
+const parsePointer = (pointer) => {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw badRequest(`Invalid JSON pointer "${pointer}"`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const arrayIndex = (token, array, allowEnd, pointer) => {
+    if (allowEnd && token === '-') return array.length;
+    if (!/^(0|[1-9]\d*)$/.test(token)) {
+        throw badRequest(`Invalid array index in "${pointer}"`);
+    }
+    const index = Number(token);
+    if (index > array.length || (!allowEnd && index === array.length)) {
+        throw httpError(409, `Array index out of bounds at "${pointer}"`);
+    }
+    return index;
+};
+
+// Container holding the location `pointer` refers to, plus its last token
+const resolveParent = (doc, pointer) => {
+    const tokens = parsePointer(pointer);
+    let node = doc;
+    tokens.slice(0, -1).forEach(token => {
+        const key = Array.isArray(node) ? arrayIndex(token, node, false, pointer) : token;
+        if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, key)) {
+            throw httpError(409, `Path "${pointer}" does not exist`);
+        }
+        node = node[key];
+    });
+    if (node === null || typeof node !== 'object') {
+        throw httpError(409, `Path "${pointer}" does not exist`);
+    }
+    return { node, token: tokens[tokens.length - 1] };
+};
+
+const getPointer = (doc, pointer) => {
+    if (pointer === '') return doc;
+    const { node, token } = resolveParent(doc, pointer);
+    const key = Array.isArray(node) ? arrayIndex(token, node, false, pointer) : token;
+    if (!Object.prototype.hasOwnProperty.call(node, key)) {
+        throw httpError(409, `Path "${pointer}" does not exist`);
+    }
+    return node[key];
+};
+
+const addPointer = (doc, pointer, value) => {
+    if (pointer === '') return value;
+    const { node, token } = resolveParent(doc, pointer);
+    if (Array.isArray(node)) {
+        node.splice(arrayIndex(token, node, true, pointer), 0, value);
+    } else {
+        node[token] = value;
+    }
+    return doc;
+};
+
+const removePointer = (doc, pointer) => {
+    if (pointer === '') {
+        throw badRequest('Cannot remove the whole document');
+    }
+    const { node, token } = resolveParent(doc, pointer);
+    if (Array.isArray(node)) {
+        node.splice(arrayIndex(token, node, false, pointer), 1);
+    } else if (Object.prototype.hasOwnProperty.call(node, token)) {
+        delete node[token];
+    } else {
+        throw httpError(409, `Path "${pointer}" does not exist`);
+    }
+    return doc;
+};
+
+// RFC 6902 JSON Patch. Operations apply in order to a copy of `doc`; a
+// failing "test" aborts the whole patch with 409.
+const applyJsonPatch = (doc, operations) => {
+    if (!Array.isArray(operations)) {
+        throw badRequest('A JSON Patch document must be an array of operations');
+    }
+    let result = clone(doc);
+    operations.forEach((operation, index) => {
+        const { op, path, from } = operation || {};
+        const needsValue = ['add', 'replace', 'test'].includes(op);
+        if (typeof path !== 'string' || (needsValue && !('value' in operation)) ||
+            (['move', 'copy'].includes(op) && typeof from !== 'string')) {
+            throw badRequest(`Invalid JSON Patch operation at index ${index}`);
+        }
+
+        switch (op) {
+            case 'add':
+                result = addPointer(result, path, clone(operation.value));
+                break;
+            case 'remove':
+                result = removePointer(result, path);
+                break;
+            case 'replace':
+                getPointer(result, path);
+                result = path === '' ? clone(operation.value) : addPointer(removePointer(result, path), path, clone(operation.value));
+                break;
+            case 'move': {
+                if (path.startsWith(`${from}/`)) {
+                    throw badRequest(`Cannot move "${from}" into one of its children`);
+                }
+                const value = getPointer(result, from);
+                result = addPointer(removePointer(result, from), path, value);
+                break;
+            }
+            case 'copy':
+                result = addPointer(result, path, clone(getPointer(result, from)));
+                break;
+            case 'test':
+                if (!deepEqual(getPointer(result, path), operation.value)) {
+                    throw httpError(409, `Test failed at "${path}"`);
+                }
+                break;
+            default:
+                throw badRequest(`Unsupported JSON Patch op "${op}" at index ${index}`);
+        }
+    });
+    return result;
+};
+
+// ========================
+// REVISION HISTORY
+// ========================
+
+// Fields compared between revisions
+const TRACKED_FIELDS = [...EDITABLE_FIELDS, 'sharedWith', 'deletedAt'];
+
+// Field-level diff between two task states (documents or plain objects)
+const diffTasks = (before, after) => {
+    const from = clone(before ? pick(before, TRACKED_FIELDS) : {});
+    const to = clone(after ? pick(after, TRACKED_FIELDS) : {});
+    return TRACKED_FIELDS
+        .filter(field => !deepEqual(from[field] === undefined ? null : from[field], to[field] === undefined ? null : to[field]))
+        .map(field => ({
+            field,
+            from: from[field] === undefined ? null : from[field],
+            to: to[field] === undefined ? null : to[field]
+        }));
+};
+
+const plain = (task) => (task && typeof task.toObject === 'function' ? task.toObject() : task);
+
+// Append a revision for a change to one task. `before` is null for creates
+// and `after` null for purges. Retries if another write took the number.
+const recordRevision = async ({ before, after, action, actor, session = null, revertedTo }) => {
+    const taskId = (after || before)._id;
+    const changes = diffTasks(plain(before), plain(after));
+    if (action === 'update' && !changes.length) return null;
+
+    for (let attempt = 0; ; attempt++) {
+        const last = await TaskRevision.findOne({ task: taskId }, 'revision')
+            .sort({ revision: -1 })
+            .session(session)
+            .lean();
+        const revision = new TaskRevision({
+            task: taskId,
+            revision: last ? last.revision + 1 : 1,
+            action,
+            actor: actor || null,
+            changes,
+            snapshot: after ? editableRepresentation(plain(after)) : null,
+            revertedTo
+        });
+        try {
+            return await revision.save({ session });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= 2) throw error;
+        }
+    }
+};
+
+// ========================
+// TASK OPERATIONS
+// ========================
+// Shared by the single-task routes and POST /tasks/bulk. Each throws an
+// httpError on failure, accepts an optional session for transactions and
+// records a revision with the caller as actor.
+// ifMatch is a list of acceptable versions (see parseIfMatch).
+
+const createTask = async (body, userId, session = null) => {
+    const changes = prepareRecurrence(editableFields(body));
+    const task = new Task({ ...changes, owner: userId });
+    await validateRelations(task, changes, userId, session);
+    task.set(changes);
+    await task.save({ session });
+    await recordRevision({ before: null, after: task, action: 'create', actor: userId, session });
+    return task;
+};
+
+const preconditionFailed = () => httpError(412, 'Task has been modified; fetch the latest version and retry');
+
+// Partial update by default; `replace` turns the body into a full replacement.
+// `revertedTo` marks the change as a revert to that revision.
+const updateTask = async (id, body, userId, session = null, { ifMatch = null, replace = false, revertedTo } = {}) => {
+    const existing = await Task.findOne({ _id: id, ...editableBy(userId) }).session(session);
+    if (!existing) {
+        throw httpError(404, 'Task not found');
+    }
+    if (ifMatch && !ifMatch.includes(existing.__v)) {
+        throw preconditionFailed();
+    }
+
+    const changes = replace ? buildReplacement(body) : prepareRecurrence(editableFields(body));
+    if (replace) {
+        const error = new Task({ ...changes, owner: existing.owner }).validateSync();
+        if (error) throw badRequest(error.message);
+    }
+    await validateRelations(existing, changes, userId, session);
+
+    // A new due date (or lead time) needs a fresh reminder
+    if (changes.dueDate !== undefined || changes.remindBefore !== undefined) {
+        changes.reminderSentAt = null;
+    }
+
+    // Only write over the version we validated against
+    const task = await Task.findOneAndUpdate(
+        { _id: id, __v: existing.__v, ...editableBy(userId) },
+        { ...changes, $inc: { __v: 1 } },
+        { new: true, runValidators: true, session }
+    );
+    if (!task) {
+        throw ifMatch ? preconditionFailed() : httpError(409, 'Task was modified by another request; retry');
+    }
+    await recordRevision({
+        before: existing,
+        after: task,
+        action: revertedTo === undefined ? 'update' : 'revert',
+        actor: userId,
+        session,
+        revertedTo
+    });
+
+    // Completing a recurring task schedules its next occurrence
+    if (!existing.completed && task.completed && task.recurrence) {
+        const next = await spawnNextOccurrence(task, session);
+        if (next) {
+            // Claiming the next occurrence bumped the stored version too
+            task.nextOccurrence = next._id;
+            task.__v += 1;
+            await recordRevision({ before: null, after: next, action: 'create', actor: userId, session });
+        }
+    }
+
+    return task;
+};
+
+// Move a task to the trash. Its links are kept so a restore puts it back
+// exactly where it was.
+const deleteTask = async (id, userId, session = null, { ifMatch = null } = {}) => {
+    const filter = { _id: id, ...ownedBy(userId) };
+    const task = await Task.findOneAndUpdate(
+        ifMatch ? { ...filter, __v: { $in: ifMatch } } : filter,
+        { deletedAt: new Date(), $inc: { __v: 1 } },
+        { new: true, session }
+    );
+    if (!task) {
+        const exists = ifMatch && await Task.findOne(filter, '_id').session(session).lean();
+        throw exists ? preconditionFailed() : httpError(404, 'Task not found');
+    }
+    await recordRevision({
+        before: { ...task.toObject(), deletedAt: null },
+        after: task,
+        action: 'delete',
+        actor: userId,
+        session
+    });
+    return task;
+};
+
+const restoreTask = async (id, userId, session = null) => {
+    const trashed = await Task.findOne({ _id: id, ...trashedBy(userId) }).session(session);
+    if (!trashed) {
+        throw httpError(404, 'Task not found in trash');
+    }
+    const task = await Task.findOneAndUpdate(
+        { _id: id, __v: trashed.__v, ...trashedBy(userId) },
+        { deletedAt: null, $inc: { __v: 1 } },
+        { new: true, session }
+    );
+    if (!task) {
+        throw httpError(409, 'Task was modified by another request; retry');
+    }
+    await recordRevision({ before: trashed, after: task, action: 'restore', actor: userId, session });
+    return task;
+};
+
+// Permanently remove a trashed task (anything with an _id). Its subtasks
+// move up to its parent and it is removed from other tasks' blockers.
+// `actor` is null when the retention purger removes it.
+const purgeTask = async (task, actor = null, session = null) => {
+    const removed = await Task.findOneAndDelete({ _id: task._id, deletedAt: { $ne: null } }, { session });
+    if (!removed) return null;
+    await recordRevision({ before: removed, after: null, action: 'purge', actor, session });
+    await Task.updateMany(
+        { parent: removed._id },
+        { parent: removed.parent, $inc: { __v: 1 } },
+        { session }
+    );
+    await Task.updateMany(
+        { blockedBy: removed._id },
+        { $pull: { blockedBy: removed._id }, $inc: { __v: 1 } },
+        { session }
+    );
+    return removed;
+};
+
+// ========================
+// BULK OPERATIONS
+// ========================
+
+const MAX_BULK_OPERATIONS = 500;
+
+// Raised by the first write of a transaction when MongoDB is a standalone
+// server: transactions need a replica set (or a sharded cluster)
+const transactionsUnsupported = (error) => error.code === 20
+    || /Transaction numbers are only allowed on a replica set member or mongos/.test(error.message);
+const BULK_OPS = ['create', 'update', 'delete'];
+
+// Check the shape of one bulk operation and validate its data against
+// taskSchema without touching the database. Returns an error message or null.
+const checkBulkOperation = (operation) => {
+    if (!operation || typeof operation !== 'object' || !BULK_OPS.includes(operation.op)) {
+        return `op must be one of ${BULK_OPS.join(', ')}`;
+    }
+    if (operation.op !== 'create' && !mongoose.Types.ObjectId.isValid(operation.id)) {
+        return 'id must be a valid task id';
+    }
+    if (operation.version !== undefined && (!Number.isInteger(operation.version) || operation.version < 0)) {
+        return 'version must be a task version (the number in its ETag)';
+    }
+    if (operation.op === 'delete') return null;
+
+    if (!operation.data || typeof operation.data !== 'object' || Array.isArray(operation.data)) {
+        return 'data must be an object';
+    }
+    try {
+        const changes = prepareRecurrence(editableFields(operation.data));
+        const candidate = new Task({ ...changes, owner: new mongoose.Types.ObjectId() });
+        // Updates are partial, so only the fields they set are validated
+        const error = operation.op === 'create'
+            ? candidate.validateSync()
+            : candidate.validateSync(Object.keys(changes));
+        return error ? error.message : null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+// "update" operations are partial; pass "version" to make them conditional
+const runBulkOperation = (operation, userId, session) => {
+    const options = { ifMatch: operation.version === undefined ? null : [operation.version] };
+    switch (operation.op) {
+        case 'create': return createTask(operation.data, userId, session);
+        case 'update': return updateTask(operation.id, operation.data, userId, session, options);
+        default: return deleteTask(operation.id, userId, session, options);
+    }
+};
+
+const bulkError = (index, operation, error) => {
+    const result = {
+        index,
+        op: operation && operation.op,
+        status: 'error',
+        statusCode: error.status || 400,
+        error: error.message
+    };
+    if (error.blockers) result.blockers = error.blockers;
+    return result;
+};
+
+const bulkSuccess = (index, operation, task) => ({
+    index,
+    op: operation.op,
+    status: 'ok',
+    id: task._id,
+    task: operation.op === 'delete' ? undefined : task
+});
+
+// ========================
+// REMINDERS
+// ========================
+
+const REMINDER_INTERVAL_MS = Number(process.env.REMINDER_INTERVAL_MS) || 60 * 1000;
+const MAX_REMIND_BEFORE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const reminderPayload = (task) => ({
+    id: task._id,
+    title: task.title,
+    dueDate: task.dueDate,
+    priority: task.priority,
+    owner: task.owner
+});
+
+// Notifiers deliver reminders for tasks coming due. Each factory returns an
+// object with an async send(task); add an entry here to plug in a new channel
+// and select it with REMINDER_NOTIFIER.
+const notifiers = {
+    console: () => ({
+        send: async (task) => {
+            console.log(`Reminder: "${task.title}" is due ${task.dueDate.toISOString()} (owner ${task.owner})`);
+        }
+    }),
+    webhook: () => {
+        const url = process.env.REMINDER_WEBHOOK_URL;
+        if (!url) {
+            throw new Error('REMINDER_WEBHOOK_URL is required for the webhook notifier');
+        }
+        return {
+            send: async (task) => {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ event: 'task.reminder', task: reminderPayload(task) })
+                });
+                if (!response.ok) {
+                    throw new Error(`Webhook responded with ${response.status}`);
+                }
+            }
+        };
+    }
+};
+
+// Send a reminder for every open task whose reminder time has passed
+const sendDueReminders = async (notifier, now = new Date()) => {
+    const candidates = await Task.find({
+        completed: false,
+        deletedAt: null,
+        reminderSentAt: null,
+        dueDate: { $ne: null, $lte: new Date(now.getTime() + MAX_REMIND_BEFORE_MS) }
+    }).lean();
+
+    const due = candidates.filter(task =>
+        task.dueDate.getTime() - task.remindBefore * 60 * 1000 <= now.getTime());
+
+    for (const task of due) {
+        // Mark as sent before notifying so overlapping runs never double-send
+        const claimed = await Task.findOneAndUpdate(
+            { _id: task._id, reminderSentAt: null },
+            { reminderSentAt: now }
+        );
+        if (!claimed) continue;
+
+        try {
+            await notifier.send(task);
+        } catch (error) {
+            console.error(`Reminder for task ${task._id} failed:`, error.message);
+            await Task.updateOne({ _id: task._id }, { reminderSentAt: null });
+        }
+    }
+};
+
+const startReminderScheduler = (notifier, intervalMs = REMINDER_INTERVAL_MS) => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await sendDueReminders(notifier);
+        } catch (error) {
+            console.error('Reminder scheduler failed:', error.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+// ========================
+// TRASH
+// ========================
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Permanently remove every task that has been in the trash longer than the
+// retention period
+const purgeExpiredTrash = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const expired = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }, '_id').lean();
+    let purged = 0;
+    for (const task of expired) {
+        if (await purgeTask(task)) purged++;
+    }
+    return purged;
+};
+
+const startTrashPurger = (intervalMs = TRASH_PURGE_INTERVAL_MS) => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const purged = await purgeExpiredTrash();
+            if (purged) console.log(`Purged ${purged} task(s) from the trash`);
+        } catch (error) {
+            console.error('Trash purge failed:', error.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+// ========================
+// SEARCH HELPERS
+// ========================
+
+const SEARCH_PARAMS = ['q', 'completed', 'page', 'limit'];
+const MAX_SEARCH_LENGTH = 200;
+const SNIPPET_RADIUS = 60;
+
+// Split a search string into the parts MongoDB's $text understands:
+// "exact phrases", -excluded words and plain terms
+const parseSearchQuery = (q) => {
+    if (typeof q !== 'string' || !q.trim()) {
+        throw badRequest('q is required');
+    }
+    if (q.length > MAX_SEARCH_LENGTH) {
+        throw badRequest(`q cannot exceed ${MAX_SEARCH_LENGTH} characters`);
+    }
+
+    const parsed = { terms: [], phrases: [], excluded: [] };
+    const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+    let match;
+    while ((match = pattern.exec(q)) !== null) {
+        if (match[2] !== undefined) {
+            if (match[2].trim()) (match[1] ? parsed.excluded : parsed.phrases).push(match[2].trim());
+        } else if (match[4] !== '-') {
+            (match[3] ? parsed.excluded : parsed.terms).push(match[4]);
+        }
+    }
+    if (!parsed.terms.length && !parsed.phrases.length) {
+        throw badRequest('q needs at least one word or phrase that is not excluded');
+    }
+    return parsed;
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Regex matching what a search hit looks like in the original text. Terms
+// match as word prefixes to roughly follow $text stemming ("plan" -> "planning").
+const highlightPattern = ({ terms, phrases }) => new RegExp([
+    ...phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+    ...terms.map(term => `\\b${escapeRegex(term)}\\w*`)
+].join('|'), 'gi');
+
+// HTML-escaped snippet around the first hit with every hit wrapped in <mark>;
+// null when the text has no hit
+const highlight = (text, pattern, radius = SNIPPET_RADIUS) => {
+    if (!text) return null;
+    pattern.lastIndex = 0;
+    const first = pattern.exec(text);
+    if (!first) return null;
+
+    const start = Math.max(0, first.index - radius);
+    const end = Math.min(text.length, first.index + first[0].length + radius);
+    const slice = text.slice(start, end);
+
+    let marked = '';
+    let position = 0;
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(slice)) !== null) {
+        if (!match[0]) {
+            pattern.lastIndex++;
+            continue;
+        }
+        marked += escapeHtml(slice.slice(position, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        position = match.index + match[0].length;
+    }
+    marked += escapeHtml(slice.slice(position));
+
+    return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`;
+};
+
+// ========================
+// PROJECT STATISTICS
+// ========================
+
+// Open/completed/overdue counts and completion rate per project, for the
+// live tasks matching `match`
+const projectStats = async (match) => {
+    const now = new Date();
+    const groups = await Task.aggregate([
+        { $match: { ...match, deletedAt: null } },
+        {
+            $group: {
+                _id: '$project',
+                total: { $sum: 1 },
+                completed: { $sum: { $cond: ['$completed', 1, 0] } },
+                overdue: {
+                    $sum: {
+                        $cond: [{
+                            $and: [
+                                { $not: ['$completed'] },
+                                { $gt: ['$dueDate', null] },
+                                { $lt: ['$dueDate', now] }
+                            ]
+                        }, 1, 0]
+                    }
+                }
+            }
+        }
+    ]);
+
+    return new Map(groups.map(group => [String(group._id), {
+        total: group.total,
+        open: group.total - group.completed,
+        completed: group.completed,
+        overdue: group.overdue,
+        completionRate: group.total ? Math.round((group.completed / group.total) * 1000) / 1000 : 0
+    }]));
+};
+
+const emptyStats = () => ({ total: 0, open: 0, completed: 0, overdue: 0, completionRate: 0 });
+
+// Respond with an error raised by the helpers above
+const sendError = (res, error, fallbackStatus) => {
+    const body = { error: error.message };
+    if (error.blockers) body.blockers = error.blockers;
+    res.status(error.status || fallbackStatus).json(body);
+};
+
+// An :id that isn't an ObjectId can't name a task, project or label. Skip
+// the route instead of failing on the cast, so fixed paths registered after
+// it (DELETE /tasks/trash behind DELETE /tasks/:id) still get the request
+// and anything else ends in a 404.
+app.param('id', (req, res, next, id) => {
+    next(mongoose.Types.ObjectId.isValid(id) ? undefined : 'route');
+});
+
+// Routes
+
+// 1. GET /tasks - List tasks with filtering, sorting, projection and pagination
+//    ?scope=own&completed=true&createdAfter=2024-01-01&title=report
+//    ?sort=-createdAt,title&fields=title,completed
+//    ?page=2&limit=20  or  ?cursor=<pagination.nextCursor>
+app.get('/tasks', async (req, res) => {
+    try {
+        const { filter, sortEntries, fields, limit, page, cursor } = parseListQuery(req.query, req.user.userId);
+        const reverse = cursor !== null && cursor.direction === 'prev';
+
+        const query = cursor
+            ? { $and: [filter, buildCursorFilter(sortEntries, cursor.values, reverse)] }
+            : filter;
+        const sort = sortEntries.map(([field, direction]) => [field, reverse ? -direction : direction]);
+
+        // Sort keys are always loaded so cursors can be built, then dropped if not requested
+        const projection = fields
+            ? [...new Set([...fields, ...sortEntries.map(([field]) => field)])].join(' ')
+            : null;
+
+        let findQuery = Task.find(query, projection).sort(sort).limit(limit + 1).lean();
+        if (!cursor) {
+            findQuery = findQuery.skip((page - 1) * limit);
+        }
+
+        const [docs, total] = await Promise.all([findQuery, Task.countDocuments(filter)]);
+
+        const hasMore = docs.length > limit;
+        const pageDocs = docs.slice(0, limit);
+        if (reverse) pageDocs.reverse();
+
+        const hasNext = reverse ? true : hasMore;
+        const hasPrev = cursor ? (reverse ? hasMore : true) : page > 1;
+        const first = pageDocs[0];
+        const last = pageDocs[pageDocs.length - 1];
+        const nextCursor = hasNext && last ? encodeCursor(last, sortEntries, 'next') : null;
+        const prevCursor = hasPrev && first ? encodeCursor(first, sortEntries, 'prev') : null;
+
+        const data = fields
+            ? pageDocs.map(doc => {
+                const picked = { _id: doc._id };
+                fields.forEach(field => { picked[field] = doc[field]; });
+                return picked;
+            })
+            : pageDocs;
+
+        const links = { self: buildLink(req, {}) };
+        if (cursor) {
+            links.next = nextCursor ? buildLink(req, { cursor: nextCursor }) : null;
+            links.prev = prevCursor ? buildLink(req, { cursor: prevCursor }) : null;
+        } else {
+            links.next = hasNext ? buildLink(req, { page: page + 1 }) : null;
+            links.prev = hasPrev ? buildLink(req, { page: page - 1 }) : null;
+        }
+
+        res.json({
+            data,
+            pagination: {
+                total,
+                limit,
+                page: cursor ? undefined : page,
+                hasNext,
+                hasPrev,
+                nextCursor,
+                prevCursor
+            },
+            links
+        });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// 2. POST /tasks - Create a task owned by the caller
+//    Pass "parent" to create a subtask and "blockedBy" to add dependencies.
+app.post('/tasks', async (req, res) => {
+    try {
+        const task = await createTask(req.body, req.user.userId);
+        res.set('ETag', etagFor(task)).status(201).json(task);
+    } catch (error) {
+        sendError(res, error, 400);
+    }
+});
+
+// 3. PUT /tasks/:id - Replace a task (owner or editor)
+//    Editable fields missing from the body are reset to their defaults.
+//    Send If-Match: "<version>" (the ETag) to fail with 412 on conflicting edits.
+app.put('/tasks/:id', async (req, res) => {
+    try {
+        const task = await updateTask(req.params.id, req.body, req.user.userId, null, {
+            ifMatch: parseIfMatch(req.get('If-Match')),
+            replace: true
+        });
+        res.set('ETag', etagFor(task)).json(task);
+    } catch (error) {
+        sendError(res, error, 400);
+    }
+});
+
+// 4. DELETE /tasks/:id - Move a task to the trash (owner only, honours If-Match)
+app.delete('/tasks/:id', async (req, res) => {
+    try {
+        const task = await deleteTask(req.params.id, req.user.userId, null, {
+            ifMatch: parseIfMatch(req.get('If-Match'))
+        });
+        res.json({
+            message: 'Task moved to trash',
+            deletedAt: task.deletedAt,
+            purgeAfter: new Date(task.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// 5. PUT /tasks/:id/share - Share a task with another user (owner only)
+//    Body: { "userId": "...", "access": "viewer" | "editor" }
+app.put('/tasks/:id/share', async (req, res) => {
+    try {
+        const { userId, access = 'viewer' } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ error: 'A valid userId is required' });
+        }
+        if (!['viewer', 'editor'].includes(access)) {
+            return res.status(400).json({ error: 'access must be viewer or editor' });
+        }
+        if (String(userId) === String(req.user.userId)) {
+            return res.status(400).json({ error: 'Cannot share a task with yourself' });
+        }
+
+        const task = await Task.findOne({ _id: req.params.id, ...ownedBy(req.user.userId) });
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const user = await User.exists({ _id: userId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const before = task.toObject();
+        const existing = task.sharedWith.find(share => share.user.equals(userId));
+        if (existing) {
+            existing.access = access;
+        } else {
+            task.sharedWith.push({ user: userId, access });
+        }
+        await task.save();
+        await recordRevision({ before, after: task, action: 'share', actor: req.user.userId });
+
+        res.json(task);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// 6. DELETE /tasks/:id/share/:userId - Stop sharing a task with a user (owner only)
+app.delete('/tasks/:id/share/:userId', async (req, res) => {
+    try {
+        const before = await Task.findOneAndUpdate(
+            { _id: req.params.id, ...ownedBy(req.user.userId) },
+            { $pull: { sharedWith: { user: req.params.userId } }, $inc: { __v: 1 } }
+        );
+        if (!before) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        const task = await Task.findById(before._id);
+        await recordRevision({ before, after: task, action: 'unshare', actor: req.user.userId });
+        res.json(task);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// 7. GET /tasks/:id/tree - A task with all of its (visible) subtasks nested
+app.get('/tasks/:id/tree', async (req, res) => {
+    try {
+        const visible = readableBy(req.user.userId);
+        const root = await Task.findOne({ _id: req.params.id, ...visible }).lean();
+        if (!root) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        // Load descendants level by level; hidden subtasks hide their subtree too
+        const nodes = new Map([[String(root._id), { ...root, subtasks: [] }]]);
+        let frontier = [root._id];
+        while (frontier.length) {
+            const children = await Task.find({ parent: { $in: frontier }, ...visible }).lean();
+            frontier = [];
+            children.forEach(child => {
+                if (nodes.has(String(child._id))) return;
+                const node = { ...child, subtasks: [] };
+                nodes.set(String(child._id), node);
+                nodes.get(String(child.parent)).subtasks.push(node);
+                frontier.push(child._id);
+            });
+        }
+
+        res.json(nodes.get(String(root._id)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 8. GET /tasks/:id/blockers - Direct and transitive blockers of a task
+app.get('/tasks/:id/blockers', async (req, res) => {
+    try {
+        const task = await Task.findOne({ _id: req.params.id, ...readableBy(req.user.userId) }).lean();
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const reached = await walkLinks(task.blockedBy, 'blockedBy', 'title completed blockedBy owner sharedWith deletedAt');
+        const userId = req.user.userId;
+        const blockers = reached
+            .filter(doc => !doc.deletedAt)
+            .filter(doc => sameId(doc.owner, userId) || (doc.sharedWith || []).some(share => sameId(share.user, userId)))
+            .map(({ _id, title, completed, blockedBy, depth }) => ({ _id, title, completed, blockedBy, depth }));
+
+        res.json({
+            taskId: task._id,
+            direct: blockers.filter(blocker => blocker.depth === 1),
+            all: blockers,
+            open: blockers.filter(blocker => !blocker.completed).length,
+            canComplete: !blockers.some(blocker => blocker.depth === 1 && !blocker.completed)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 9. POST /tasks/:id/blockers - Mark a task as blocked by another one
+//    Body: { "taskId": "..." }
+app.post('/tasks/:id/blockers', async (req, res) => {
+    try {
+        const existing = await Task.findOne({ _id: req.params.id, ...editableBy(req.user.userId) }).lean();
+        if (!existing) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const task = await updateTask(req.params.id, {
+            blockedBy: [...existing.blockedBy.map(String), req.body.taskId]
+        }, req.user.userId);
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 400);
+    }
+});
+
+// 10. DELETE /tasks/:id/blockers/:blockerId - Remove a dependency
+app.delete('/tasks/:id/blockers/:blockerId', async (req, res) => {
+    try {
+        const existing = await Task.findOne({ _id: req.params.id, ...editableBy(req.user.userId) }).lean();
+        if (!existing) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const task = await updateTask(req.params.id, {
+            blockedBy: existing.blockedBy.filter(id => !sameId(id, req.params.blockerId))
+        }, req.user.userId);
+        res.json(task);
+    } catch (error) {
+        sendError(res, error, 400);
+    }
+});
+
+// 11. GET /tasks/overdue - Open tasks whose due date has passed, oldest first
+app.get('/tasks/overdue', async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parsePositiveInt(req.query.limit, 'limit');
+        const tasks = await Task.find({
+            ...readableBy(req.user.userId),
+            completed: false,
+            dueDate: { $ne: null, $lt: new Date() }
+        }).sort({ dueDate: 1 }).limit(Math.min(limit, MAX_PAGE_SIZE));
+        res.json(tasks);
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// 12. GET /tasks/upcoming?days=7 - Open tasks due within the next N days
+app.get('/tasks/upcoming', async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? 7 : parsePositiveInt(req.query.days, 'days');
+        const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parsePositiveInt(req.query.limit, 'limit');
+        const now = new Date();
+        const tasks = await Task.find({
+            ...readableBy(req.user.userId),
+            completed: false,
+            dueDate: { $gte: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) }
+        }).sort({ dueDate: 1 }).limit(Math.min(limit, MAX_PAGE_SIZE));
+        res.json(tasks);
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// 13. POST /tasks/bulk - Run a batch of create/update/delete operations
+//    Body: {
+//      "mode": "atomic" | "bestEffort",
+//      "operations": [
+//        { "op": "create", "data": { "title": "..." } },
+//        { "op": "update", "id": "...", "data": { "completed": true } },
+//        { "op": "delete", "id": "..." }            (moves the task to the trash)
+//      ]
+//    }
+//    atomic: everything runs in one MongoDB transaction and nothing is written
+//    unless every operation succeeds. Transactions need MongoDB to run as a
+//    replica set (a single-node one will do: start mongod with --replSet rs0
+//    and run rs.initiate() once); against a standalone server atomic batches
+//    get a 501 and bestEffort is the mode to use. On failure the
+//    operations before the failing one are reported as rolledBack and those
+//    after it as skipped.
+//    bestEffort: operations run one by one and each reports its own result.
+app.post('/tasks/bulk', async (req, res) => {
+    const { mode = 'atomic', operations } = req.body;
+
+    if (!['atomic', 'bestEffort'].includes(mode)) {
+        return res.status(400).json({ error: 'mode must be atomic or bestEffort' });
+    }
+    if (!Array.isArray(operations) || !operations.length) {
+        return res.status(400).json({ error: 'operations must be a non-empty array' });
+    }
+    if (operations.length > MAX_BULK_OPERATIONS) {
+        return res.status(400).json({ error: `A batch cannot exceed ${MAX_BULK_OPERATIONS} operations` });
+    }
+
+    const userId = req.user.userId;
+    const invalid = operations.map((operation, index) => {
+        const message = checkBulkOperation(operation);
+        return message ? bulkError(index, operation, badRequest(message)) : null;
+    });
+
+    try {
+        if (mode === 'bestEffort') {
+            const results = [];
+            for (const [index, operation] of operations.entries()) {
+                if (invalid[index]) {
+                    results.push(invalid[index]);
+                    continue;
+                }
+                try {
+                    results.push(bulkSuccess(index, operation, await runBulkOperation(operation, userId, null)));
+                } catch (error) {
+                    results.push(bulkError(index, operation, error));
+                }
+            }
+            const succeeded = results.filter(result => result.status === 'ok').length;
+            return res.json({
+                mode,
+                succeeded,
+                failed: results.length - succeeded,
+                results
+            });
+        }
+
+        // Atomic mode: reject the whole batch up front if anything fails validation
+        if (invalid.some(Boolean)) {
+            return res.status(400).json({
+                mode,
+                committed: false,
+                error: 'Batch rejected: one or more operations are invalid',
+                results: invalid.map((result, index) => result || { index, op: operations[index].op, status: 'skipped' })
+            });
+        }
+
+        let results = [];
+        let failure = null;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                // withTransaction may retry this callback, so start from scratch each time
+                results = [];
+                failure = null;
+                for (const [index, operation] of operations.entries()) {
+                    try {
+                        results.push(bulkSuccess(index, operation, await runBulkOperation(operation, userId, session)));
+                    } catch (error) {
+                        if (!transactionsUnsupported(error)) {
+                            failure = bulkError(index, operation, error);
+                        }
+                        throw error;
+                    }
+                }
+            });
+        } catch (error) {
+            if (transactionsUnsupported(error)) {
+                return res.status(501).json({
+                    mode,
+                    committed: false,
+                    error: 'Atomic batches need MongoDB transactions, which this server\'s database (not a replica set) does not support; use "mode": "bestEffort"'
+                });
+            }
+            if (!failure) throw error;
+            return res.status(failure.statusCode).json({
+                mode,
+                committed: false,
+                error: `Batch rolled back: operation ${failure.index} failed`,
+                // Operations before the failing one ran and were undone; the
+                // ones after it never ran
+                results: operations.map((operation, index) => {
+                    if (index === failure.index) return failure;
+                    return { index, op: operation.op, status: index < failure.index ? 'rolledBack' : 'skipped' };
+                })
+            });
+        } finally {
+            session.endSession();
+        }
+
+        res.json({ mode, committed: true, succeeded: results.length, failed: 0, results });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 14. GET /tasks/trash - The caller's trashed tasks, most recently deleted first
+app.get('/tasks/trash', async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parsePositiveInt(req.query.limit, 'limit');
+        const page = req.query.page === undefined ? 1 : parsePositiveInt(req.query.page, 'page');
+        if (limit > MAX_PAGE_SIZE) {
+            throw badRequest(`limit cannot exceed ${MAX_PAGE_SIZE}`);
+        }
+
+        const filter = trashedBy(req.user.userId);
+        const [tasks, total] = await Promise.all([
+            Task.find(filter).sort({ deletedAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            Task.countDocuments(filter)
+        ]);
+
+        res.json({
+            retentionDays: TRASH_RETENTION_DAYS,
+            data: tasks,
+            pagination: { total, page, limit }
+        });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// 15. DELETE /tasks/trash - Empty the caller's trash permanently
+app.delete('/tasks/trash', async (req, res) => {
+    try {
+        const tasks = await Task.find(trashedBy(req.user.userId), '_id').lean();
+        let purged = 0;
+        for (const task of tasks) {
+            if (await purgeTask(task, req.user.userId)) purged++;
+        }
+        res.json({ message: 'Trash emptied', purged });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// 16. POST /tasks/:id/restore - Take a task out of the trash
+app.post('/tasks/:id/restore', async (req, res) => {
+    try {
+        const task = await restoreTask(req.params.id, req.user.userId);
+        res.set('ETag', etagFor(task)).json(task);
+    } catch (error) {
+        sendError(res, error, 400);
+    }
+});
+
+// 17. DELETE /tasks/:id/purge - Permanently delete a trashed task
+app.delete('/tasks/:id/purge', async (req, res) => {
+    try {
+        const task = await Task.findOne({ _id: req.params.id, ...trashedBy(req.user.userId) }, '_id').lean();
+        if (!task || !await purgeTask(task, req.user.userId)) {
+            return res.status(404).json({ error: 'Task not found in trash' });
+        }
+        res.json({ message: 'Task permanently deleted' });
+    } catch (error) {
+        sendError(res, error, 400);
+    }
+});
+
+// 18. GET /tasks/search?q= - Full-text search over title and description
+//     q supports "exact phrases" and -excluded words; combine with ?completed=
+//     Results are ranked by relevance and carry highlighted snippets.
+app.get('/tasks/search', async (req, res) => {
+    try {
+        const unknown = Object.keys(req.query).filter(key => !SEARCH_PARAMS.includes(key));
+        if (unknown.length) {
+            throw badRequest(`Unknown query parameter(s): ${unknown.join(', ')}`);
+        }
+        const parsed = parseSearchQuery(req.query.q);
+        const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parsePositiveInt(req.query.limit, 'limit');
+        const page = req.query.page === undefined ? 1 : parsePositiveInt(req.query.page, 'page');
+        if (limit > MAX_PAGE_SIZE) {
+            throw badRequest(`limit cannot exceed ${MAX_PAGE_SIZE}`);
+        }
+
+        const filter = { ...readableBy(req.user.userId), $text: { $search: req.query.q } };
+        if (req.query.completed !== undefined) {
+            if (req.query.completed !== 'true' && req.query.completed !== 'false') {
+                throw badRequest('completed must be true or false');
+            }
+            filter.completed = req.query.completed === 'true';
+        }
+
+        const score = { $meta: 'textScore' };
+        const [tasks, total] = await Promise.all([
+            Task.find(filter, { score })
+                .sort({ score, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Task.countDocuments(filter)
+        ]);
+
+        const pattern = highlightPattern(parsed);
+        res.json({
+            query: parsed,
+            data: tasks.map(task => ({
+                ...task,
+                highlights: {
+                    title: highlight(task.title, pattern, Infinity),
+                    description: highlight(task.description, pattern)
+                }
+            })),
+            pagination: { total, page, limit }
+        });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// 19. GET /tasks/:id - A single task, with its version as ETag
+//     (registered after the fixed /tasks/... GET routes so it doesn't shadow them)
+app.get('/tasks/:id', async (req, res) => {
+    try {
+        const task = await Task.findOne({ _id: req.params.id, ...readableBy(req.user.userId) });
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        // Express answers If-None-Match with 304 when the ETag still matches
+        res.set('ETag', etagFor(task)).json(task);
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// 20. PATCH /tasks/:id - Partially update a task (owner or editor)
+//     Content-Type: application/merge-patch+json (RFC 7386, also plain application/json)
+//              or application/json-patch+json (RFC 6902)
+//     Patches apply to the editable fields; honours If-Match like PUT.
+app.patch('/tasks/:id', async (req, res) => {
+    try {
+        const type = req.is(['application/json-patch+json', 'application/merge-patch+json', 'application/json']);
+        if (!type) {
+            return res.status(415).json({
+                error: 'Use application/merge-patch+json or application/json-patch+json'
+            });
+        }
+
+        const existing = await Task.findOne({ _id: req.params.id, ...editableBy(req.user.userId) }).lean();
+        if (!existing) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        const ifMatch = parseIfMatch(req.get('If-Match'));
+        if (ifMatch && !ifMatch.includes(existing.__v)) {
+            return res.status(412).json({ error: preconditionFailed().message });
+        }
+
+        const current = editableRepresentation(existing);
+        const patched = type === 'application/json-patch+json'
+            ? applyJsonPatch(current, req.body)
+            : applyMergePatch(current, req.body);
+
+        if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+            return res.status(400).json({ error: 'The patched task must be an object' });
+        }
+        const readOnly = Object.keys(patched).filter(field => !EDITABLE_FIELDS.includes(field));
+        if (readOnly.length) {
+            return res.status(400).json({ error: `Cannot modify field(s): ${readOnly.join(', ')}` });
+        }
+
+        // Write the result only over the exact version the patch was applied to
+        const task = await updateTask(req.params.id, patched, req.user.userId, null, {
+            ifMatch: [existing.__v],
+            replace: true
+        });
+        res.set('ETag', etagFor(task)).json(task);
+    } catch (error) {
+        sendError(res, error, 400);
+    }
+});
+
+// 21. GET /tasks/:id/history - Revisions of a task, newest first
+//     Trashed tasks' history stays visible to their owner.
+app.get('/tasks/:id/history', async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parsePositiveInt(req.query.limit, 'limit');
+        const page = req.query.page === undefined ? 1 : parsePositiveInt(req.query.page, 'page');
+        if (limit > MAX_PAGE_SIZE) {
+            throw badRequest(`limit cannot exceed ${MAX_PAGE_SIZE}`);
+        }
+
+        const task = await Task.findOne({
+            _id: req.params.id,
+            $or: [readableBy(req.user.userId), trashedBy(req.user.userId)]
+        }, '_id').lean();
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const [revisions, total] = await Promise.all([
+            TaskRevision.find({ task: task._id }, '-snapshot')
+                .sort({ revision: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            TaskRevision.countDocuments({ task: task._id })
+        ]);
+
+        // Actors live in the auth database, so resolve their names separately
+        const actorIds = [...new Set(revisions.map(revision => revision.actor).filter(Boolean).map(String))];
+        const actors = await User.find({ _id: { $in: actorIds } }, 'username').lean();
+        const names = new Map(actors.map(actor => [String(actor._id), actor.username]));
+
+        res.json({
+            taskId: task._id,
+            data: revisions.map(revision => ({
+                ...revision,
+                actor: revision.actor
+                    ? { id: revision.actor, username: names.get(String(revision.actor)) || null }
+                    : null
+            })),
+            pagination: { total, page, limit }
+        });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// 22. POST /tasks/:id/revert/:revision - Roll a task back to an earlier revision
+//     The editable fields are replaced with that revision's snapshot and the
+//     rollback is itself recorded as a new revision. Honours If-Match.
+app.post('/tasks/:id/revert/:revision', async (req, res) => {
+    try {
+        const revisionNumber = parsePositiveInt(req.params.revision, 'revision');
+        const task = await Task.findOne({ _id: req.params.id, ...editableBy(req.user.userId) }, '_id').lean();
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const revision = await TaskRevision.findOne({ task: task._id, revision: revisionNumber }).lean();
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        if (!revision.snapshot) {
+            return res.status(400).json({ error: 'That revision has no state to revert to' });
+        }
+
+        const reverted = await updateTask(task._id, revision.snapshot, req.user.userId, null, {
+            ifMatch: parseIfMatch(req.get('If-Match')),
+            replace: true,
+            revertedTo: revisionNumber
+        });
+        res.set('ETag', etagFor(reverted)).json(reverted);
+    } catch (error) {
+        sendError(res, error, 400);
+    }
+});
+
+// ========================
+// PROJECT ROUTES
+// ========================
+
+// 23. GET /projects - The caller's projects with task statistics
+app.get('/projects', async (req, res) => {
+    try {
+        const projects = await Project.find({ owner: req.user.userId }).sort({ name: 1 }).lean();
+        const stats = await projectStats({ project: { $in: projects.map(project => project._id) } });
+        res.json(projects.map(project => ({
+            ...project,
+            stats: stats.get(String(project._id)) || emptyStats()
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 24. POST /projects - Create a project
+app.post('/projects', async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        const project = new Project({ name, description, owner: req.user.userId });
+        await project.save();
+        res.status(201).json(project);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// 25. GET /projects/:id - A project with its task statistics
+app.get('/projects/:id', async (req, res) => {
+    try {
+        const project = await Project.findOne({ _id: req.params.id, owner: req.user.userId }).lean();
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        const stats = await projectStats({ project: project._id });
+        res.json({ ...project, stats: stats.get(String(project._id)) || emptyStats() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 26. PUT /projects/:id - Rename or describe a project
+app.put('/projects/:id', async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        const project = await Project.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user.userId },
+            definedFields({ name, description }),
+            { new: true, runValidators: true }
+        );
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        res.json(project);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// 27. DELETE /projects/:id?tasks=reassign&to=<projectId|none> - Delete a project
+//     tasks=reassign (default) moves its tasks, trashed ones included, to
+//     another project, or out of any project when `to` is omitted or "none".
+//     tasks=cascade moves its tasks to the trash along with it.
+app.delete('/projects/:id', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const mode = req.query.tasks || 'reassign';
+        if (!['reassign', 'cascade'].includes(mode)) {
+            return res.status(400).json({ error: 'tasks must be reassign or cascade' });
+        }
+
+        const project = await Project.findOne({ _id: req.params.id, owner: userId });
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        let target = null;
+        if (mode === 'reassign' && req.query.to !== undefined && req.query.to !== 'none') {
+            if (!mongoose.Types.ObjectId.isValid(req.query.to)) {
+                return res.status(400).json({ error: 'to must be a project id or "none"' });
+            }
+            target = await Project.findOne({ _id: req.query.to, owner: userId }, '_id').lean();
+            if (!target || sameId(target._id, project._id)) {
+                return res.status(400).json({ error: 'to must be another of your projects or "none"' });
+            }
+        }
+
+        // Move the tasks with bulk writes and delete the project last, so a
+        // failure part way leaves the project in place and repeating the
+        // request finishes the job. Trashed tasks are reassigned along with
+        // the live ones; cascading unlinks them from the deleted project.
+        const tasks = await Task.find({ project: project._id, ...ownedBy(userId) }).lean();
+        const now = new Date();
+        const changes = mode === 'cascade'
+            ? { project: null, deletedAt: now }
+            : { project: target ? target._id : null };
+        if (mode === 'cascade') {
+            await Task.updateMany(
+                { project: project._id, ...ownedBy(userId) },
+                { ...changes, $inc: { __v: 1 } }
+            );
+            await Task.updateMany({ project: project._id }, { project: null, $inc: { __v: 1 } });
+        } else {
+            await Task.updateMany({ project: project._id }, { ...changes, $inc: { __v: 1 } });
+        }
+
+        for (const task of tasks) {
+            await recordRevision({
+                before: task,
+                after: { ...task, ...changes, __v: task.__v + 1 },
+                action: mode === 'cascade' ? 'delete' : 'update',
+                actor: userId
+            });
+        }
+        await project.deleteOne();
+
+        res.json({
+            message: 'Project deleted successfully',
+            tasks: mode === 'cascade' ? 'trashed' : 'reassigned',
+            affected: tasks.length,
+            reassignedTo: mode === 'reassign' && target ? target._id : null
+        });
+    } catch (error) {
+        sendError(res, error, 500);
+    }
+});
+
+// ========================
+// LABEL ROUTES
+// ========================
+
+// 28. GET /labels - The caller's labels with how many live tasks use each
+app.get('/labels', async (req, res) => {
+    try {
+        const labels = await Label.find({ owner: req.user.userId }).sort({ name: 1 }).lean();
+        const counts = await Task.aggregate([
+            { $match: { labels: { $in: labels.map(label => label._id) }, deletedAt: null } },
+            { $unwind: '$labels' },
+            { $group: { _id: '$labels', count: { $sum: 1 } } }
+        ]);
+        const byLabel = new Map(counts.map(count => [String(count._id), count.count]));
+        res.json(labels.map(label => ({ ...label, taskCount: byLabel.get(String(label._id)) || 0 })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 29. POST /labels - Create a label
+app.post('/labels', async (req, res) => {
+    try {
+        const { name, color } = req.body;
+        const label = new Label({ name, color, owner: req.user.userId });
+        await label.save();
+        res.status(201).json(label);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A label with this name already exists' });
+        }
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// 30. PUT /labels/:id - Rename or recolor a label
+app.put('/labels/:id', async (req, res) => {
+    try {
+        const { name, color } = req.body;
+        const label = await Label.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user.userId },
+            definedFields({ name, color }),
+            { new: true, runValidators: true }
+        );
+        if (!label) {
+            return res.status(404).json({ error: 'Label not found' });
+        }
+        res.json(label);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A label with this name already exists' });
+        }
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// 31. DELETE /labels/:id - Delete a label and remove it from every task
+app.delete('/labels/:id', async (req, res) => {
+    try {
+        const label = await Label.findOneAndDelete({ _id: req.params.id, owner: req.user.userId });
+        if (!label) {
+            return res.status(404).json({ error: 'Label not found' });
+        }
+        const result = await Task.updateMany(
+            { labels: label._id },
+            { $pull: { labels: label._id }, $inc: { __v: 1 } }
+        );
+        res.json({
+            message: 'Label deleted successfully',
+            tasksUpdated: result.modifiedCount !== undefined ? result.modifiedCount : result.nModified
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Start Server
+app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+
+    startTrashPurger();
+    console.log(`Trashed tasks are purged after ${TRASH_RETENTION_DAYS} day(s)`);
+
+    const notifierName = process.env.REMINDER_NOTIFIER || 'console';
+    if (!notifiers[notifierName]) {
+        console.error(`Unknown REMINDER_NOTIFIER "${notifierName}", reminders disabled`);
+        return;
+    }
+    try {
+        startReminderScheduler(notifiers[notifierName]());
+        console.log(`Reminder scheduler running with the ${notifierName} notifier`);
+    } catch (error) {
+        console.error(`Reminders disabled: ${error.message}`);
+    }
 });
\ No newline at end of file
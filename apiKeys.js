@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// ========================
+// API KEYS
+// ========================
+// Long-lived keys for scripts and service accounts. A key looks like
+// "bee_<random>" and is shown once when created; only its SHA-256 hash is
+// stored. Keys carry scopes of the form "<resource>:<read|write>", where the
+// resource is the first path segment of the request (/tasks/... needs
+// tasks:read for GET and HEAD, tasks:write otherwise). Routes outside the
+// scopes a server offers, like key management itself, can't be reached with
+// a key at all.
+//
+// Clients send a key in an X-API-Key header or as "Authorization: Bearer bee_...".
+
+const KEY_PREFIX = 'bee_';
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiKeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // First characters of the key, so users can tell their keys apart
+    hint: {
+        type: String,
+        required: true
+    },
+    scopes: {
+        type: [String],
+        required: true
+    },
+    // The key was created from a session that passed two-factor authentication
+    mfa: {
+        type: Boolean,
+        default: false
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: String,
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// The API key a request carries, or null (JWTs in the Authorization header are left alone)
+const extractApiKey = (req) => {
+    const header = req.headers['x-api-key'];
+    if (typeof header === 'string' && header) {
+        return header;
+    }
+    const token = req.headers.authorization && req.headers.authorization.split(' ')[1];
+    return token && token.startsWith(KEY_PREFIX) ? token : null;
+};
+
+// Scope a request needs, e.g. "tasks:read" for GET /tasks/123
+const requiredScope = (req) => {
+    const resource = req.originalUrl.split('?')[0].split('/')[1] || '';
+    const action = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+    return `${resource}:${action}`;
+};
+
+const hasScope = (apiKey, scope) => apiKey.scopes.includes(scope);
+
+// Build a key store whose records live on `connection` (a mongoose
+// connection, or mongoose itself for the default one). `scopes` lists the
+// scopes keys may be given on this server.
+const createApiKeyStore = (connection, { scopes }) => {
+    const ApiKey = connection.models.ApiKey || connection.model('ApiKey', apiKeySchema);
+
+    // Check the body of a create request; returns an error message or null
+    const validate = ({ name, scopes: requested, expiresAt }) => {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'name is required';
+        }
+        if (!Array.isArray(requested) || requested.length === 0) {
+            return `scopes must be a non-empty array of: ${scopes.join(', ')}`;
+        }
+        const unknown = requested.filter(scope => !scopes.includes(scope));
+        if (unknown.length) {
+            return `Unknown scopes: ${unknown.join(', ')}. Allowed: ${scopes.join(', ')}`;
+        }
+        if (expiresAt !== undefined && expiresAt !== null) {
+            const date = new Date(expiresAt);
+            if (Number.isNaN(date.getTime()) || date <= new Date()) {
+                return 'expiresAt must be a date in the future';
+            }
+        }
+        return null;
+    };
+
+    // Create a key; resolves to { key, apiKey }. `key` is the only copy of the secret.
+    const create = async ({ user, name, scopes: requested, expiresAt, mfa = false }) => {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const apiKey = await ApiKey.create({
+            user,
+            name,
+            keyHash: hashKey(key),
+            hint: key.slice(0, KEY_PREFIX.length + 6),
+            scopes: [...new Set(requested)],
+            mfa,
+            expiresAt: expiresAt ? new Date(expiresAt) : null
+        });
+        return { key, apiKey };
+    };
+
+    // Look up an active key and note its use; resolves to the key or null
+    const verify = async (key, ip) => {
+        const now = new Date();
+        const apiKey = await ApiKey.findOne({
+            keyHash: hashKey(key),
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+        }).lean();
+        if (!apiKey) return null;
+
+        if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS || apiKey.lastUsedIp !== ip) {
+            await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip });
+        }
+        return apiKey;
+    };
+
+    const list = (user) => ApiKey.find({ user }).select('-keyHash').sort({ createdAt: -1 }).lean();
+
+    // Revoke one of the user's keys; resolves to the key, or null if not found
+    const revoke = (user, id) => ApiKey.findOneAndUpdate(
+        { _id: id, user, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+    ).select('-keyHash').lean();
+
+    // Revoke all of a user's keys, e.g. when the account is disabled
+    const revokeAll = (user) => ApiKey.updateMany({ user, revokedAt: null }, { revokedAt: new Date() });
+
+    return { ApiKey, validate, create, verify, list, revoke, revokeAll };
+};
+
+module.exports = { createApiKeyStore, extractApiKey, requiredScope, hasScope };
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// ========================
+// AUDIT LOG
+// ========================
+// Append-only record of privileged actions: who did what to whom, the values
+// before and after, from which IP and when.
+//
+// Entries are numbered (seq) and hash-chained: each entry's hash covers its
+// own fields and the previous entry's hash, so editing, deleting or
+// reordering any entry breaks every hash after it. verify() walks the chain.
+// Removing entries from the end can only be noticed against a head hash
+// kept elsewhere, which is why verify() reports the current head.
+//
+// The model refuses updates and deletes. For protection against someone
+// with direct database access, give the server a MongoDB user that can only
+// insert into and read the audit collection.
+
+const GENESIS_HASH = '0'.repeat(64);
+// Two servers appending at once collide on seq; the loser retries
+const MAX_APPEND_ATTEMPTS = 5;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const auditEntrySchema = new mongoose.Schema({
+    seq: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    timestamp: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    actor: {
+        id: { type: String, index: true },
+        username: String,
+        role: String
+    },
+    target: {
+        kind: String,
+        id: { type: String, index: true },
+        label: String
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    ip: String,
+    prevHash: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    }
+}, { minimize: false });
+
+const refuseChange = function(next) {
+    next(new Error('Audit entries can\'t be changed or deleted'));
+};
+auditEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuseChange);
+auditEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], refuseChange);
+auditEntrySchema.pre('save', function(next) {
+    next(this.isNew ? undefined : new Error('Audit entries can\'t be changed or deleted'));
+});
+
+// JSON with object keys sorted, so equal values always hash the same
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// The hashed fields of an entry, in the same shape whether it was just built
+// or read back from MongoDB
+const hashedFields = (entry) => ({
+    seq: entry.seq,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    action: entry.action,
+    actor: {
+        id: (entry.actor && entry.actor.id) || null,
+        username: (entry.actor && entry.actor.username) || null,
+        role: (entry.actor && entry.actor.role) || null
+    },
+    target: {
+        kind: (entry.target && entry.target.kind) || null,
+        id: (entry.target && entry.target.id) || null,
+        label: (entry.target && entry.target.label) || null
+    },
+    before: entry.before === undefined ? null : entry.before,
+    after: entry.after === undefined ? null : entry.after,
+    ip: entry.ip || null
+});
+
+const hashEntry = (prevHash, entry) => crypto.createHash('sha256')
+    .update(`${prevHash}\n${canonicalJson(hashedFields(entry))}`)
+    .digest('hex');
+
+// Plain JSON copy, so what is hashed is exactly what MongoDB stores
+const plain = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const CSV_COLUMNS = [
+    ['seq', entry => entry.seq],
+    ['timestamp', entry => new Date(entry.timestamp).toISOString()],
+    ['action', entry => entry.action],
+    ['actorId', entry => entry.actor && entry.actor.id],
+    ['actorUsername', entry => entry.actor && entry.actor.username],
+    ['actorRole', entry => entry.actor && entry.actor.role],
+    ['targetKind', entry => entry.target && entry.target.kind],
+    ['targetId', entry => entry.target && entry.target.id],
+    ['targetLabel', entry => entry.target && entry.target.label],
+    ['before', entry => (entry.before === null || entry.before === undefined ? '' : JSON.stringify(entry.before))],
+    ['after', entry => (entry.after === null || entry.after === undefined ? '' : JSON.stringify(entry.after))],
+    ['ip', entry => entry.ip],
+    ['hash', entry => entry.hash]
+];
+
+// One CSV cell. Cells that a spreadsheet would run as a formula get a quote
+// prepended.
+const csvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Entries as CSV with a header row
+const toCsv = entries => [
+    CSV_COLUMNS.map(([name]) => name).join(','),
+    ...entries.map(entry => CSV_COLUMNS.map(([, pick]) => csvCell(pick(entry))).join(','))
+].join('\r\n') + '\r\n';
+
+// Build an audit log whose entries live on `connection` (a mongoose
+// connection, or mongoose itself for the default one)
+const createAuditLog = (connection) => {
+    const AuditEntry = connection.models.AuditEntry || connection.model('AuditEntry', auditEntrySchema);
+
+    // Append an entry: { action, actor: { id, username, role },
+    // target: { kind, id, label }, before, after, ip }. Resolves to the entry.
+    const record = async ({ action, actor, target, before, after, ip }) => {
+        for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+            const last = await AuditEntry.findOne().sort({ seq: -1 }).select('seq hash').lean();
+            const prevHash = last ? last.hash : GENESIS_HASH;
+            const entry = {
+                seq: last ? last.seq + 1 : 1,
+                timestamp: new Date(),
+                action,
+                actor: plain(actor),
+                target: plain(target),
+                before: plain(before),
+                after: plain(after),
+                ip
+            };
+
+            try {
+                const created = await AuditEntry.create({ ...entry, prevHash, hash: hashEntry(prevHash, entry) });
+                return created.toObject();
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+        }
+        throw new Error('Could not append to the audit log: too many concurrent writes');
+    };
+
+    // Entries matching { action, actor, target, from, to }, newest first.
+    // actor and target are ids; from and to are dates (inclusive). Pass
+    // `beforeSeq` to page back past entries already seen.
+    const query = ({ action, actor, target, from, to, beforeSeq, limit = 100 } = {}) => {
+        const filter = {};
+        if (action) filter.action = String(action);
+        if (actor) filter['actor.id'] = String(actor);
+        if (target) filter['target.id'] = String(target);
+
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) filter.timestamp.$gte = new Date(from);
+            if (to) filter.timestamp.$lte = new Date(to);
+            if (Object.values(filter.timestamp).some(date => isNaN(date))) {
+                throw httpError(400, 'from and to must be dates, e.g. 2026-10-01 or 2026-10-01T12:00:00Z');
+            }
+        }
+        if (beforeSeq !== undefined) {
+            const seq = Number(beforeSeq);
+            if (!Number.isInteger(seq)) {
+                throw httpError(400, 'beforeSeq must be an entry number');
+            }
+            filter.seq = { $lt: seq };
+        }
+
+        return AuditEntry.find(filter).sort({ seq: -1 }).limit(limit).lean();
+    };
+
+    // Walk the whole chain. Resolves to { valid, entries, head } or, when
+    // something was tampered with, { valid: false, brokenAt, reason, ... }.
+    const verify = async () => {
+        let prevHash = GENESIS_HASH;
+        let expectedSeq = 1;
+        let head = null;
+
+        for await (const entry of AuditEntry.find().sort({ seq: 1 }).lean().cursor()) {
+            const broken = reason => ({ valid: false, entries: expectedSeq - 1, brokenAt: entry.seq, reason, head });
+            if (entry.seq !== expectedSeq) {
+                return broken(`Expected entry ${expectedSeq}, found ${entry.seq}; entries are missing`);
+            }
+            if (entry.prevHash !== prevHash) {
+                return broken('prevHash does not match the previous entry');
+            }
+            if (hashEntry(prevHash, entry) !== entry.hash) {
+                return broken('Entry contents do not match its hash');
+            }
+
+            prevHash = entry.hash;
+            head = { seq: entry.seq, hash: entry.hash };
+            expectedSeq += 1;
+        }
+
+        return { valid: true, entries: expectedSeq - 1, head };
+    };
+
+    return { AuditEntry, record, query, verify };
+};
+
+module.exports = { createAuditLog, toCsv };
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// ========================
+// JWT SIGNING KEYS
+// ========================
+// Tokens are signed with an RSA (RS256) or EC P-256 (ES256) private key and
+// carry its key id in the `kid` header. Keys live as PEM files in a directory:
+//
+//   keys/2026-10-rsa.key.pem   private key: can sign, and verifies its own tokens
+//   keys/2026-04-rsa.pub.pem   public key only: verifies tokens it signed earlier
+//
+// The file name (without .key.pem / .pub.pem) is the kid. JWT_SIGNING_KID picks
+// the signing key; by default it is the last private key in name order.
+//
+// To rotate: add a new private key and make it the signing key, keep the old
+// key (or just its public half) until tokens signed with it have expired, then
+// remove it. Other services verify tokens with the public keys published at
+// /.well-known/jwks.json.
+//
+// With no key files the servers fall back to HS256 with their legacy secret,
+// which keeps local development working without any setup.
+//
+// Generate a key pair: node jwtKeys.js generate <dir> <rsa|ec> [kid]
+
+const PRIVATE_SUFFIX = '.key.pem';
+const PUBLIC_SUFFIX = '.pub.pem';
+
+// JWS algorithm for a key
+const algorithmFor = (keyObject) => {
+    if (keyObject.asymmetricKeyType === 'rsa') return 'RS256';
+    if (keyObject.asymmetricKeyType === 'ec') {
+        const curve = keyObject.asymmetricKeyDetails && keyObject.asymmetricKeyDetails.namedCurve;
+        if (curve === 'prime256v1') return 'ES256';
+        throw new Error(`Unsupported EC curve ${curve}; use P-256`);
+    }
+    throw new Error(`Unsupported key type ${keyObject.asymmetricKeyType}; use RSA or EC P-256`);
+};
+
+const readKeys = (dir) => {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir).sort().flatMap((file) => {
+        const filePath = path.join(dir, file);
+        if (file.endsWith(PRIVATE_SUFFIX)) {
+            const privateKey = crypto.createPrivateKey(fs.readFileSync(filePath));
+            return [{ kid: file.slice(0, -PRIVATE_SUFFIX.length), privateKey, publicKey: crypto.createPublicKey(privateKey) }];
+        }
+        if (file.endsWith(PUBLIC_SUFFIX)) {
+            const publicKey = crypto.createPublicKey(fs.readFileSync(filePath));
+            return [{ kid: file.slice(0, -PUBLIC_SUFFIX.length), privateKey: null, publicKey }];
+        }
+        return [];
+    });
+};
+
+// Load the keys in `dir` (default JWT_KEYS_DIR or ./keys). `issuer` goes into
+// every token's iss claim and is required when verifying, so tokens from one
+// server are not accepted by another that shares its keys. `fallbackSecret`
+// is the HS256 secret used when the directory holds no keys.
+const createKeyRing = ({ dir = process.env.JWT_KEYS_DIR || 'keys', issuer, fallbackSecret }) => {
+    const keys = readKeys(dir).map(key => ({
+        ...key,
+        alg: algorithmFor(key.publicKey),
+        // jsonwebtoken takes PEM strings
+        privatePem: key.privateKey && key.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        publicPem: key.publicKey.export({ type: 'spki', format: 'pem' })
+    }));
+
+    if (keys.length === 0) {
+        console.warn(`No JWT keys in ${path.resolve(dir)}; signing with the HS256 fallback secret`);
+        return {
+            sign: (payload, options = {}) => jwt.sign(payload, fallbackSecret, { ...options, algorithm: 'HS256', issuer }),
+            verify: (token) => jwt.verify(token, fallbackSecret, { algorithms: ['HS256'], issuer }),
+            jwks: () => ({ keys: [] })
+        };
+    }
+
+    const byKid = new Map(keys.map(key => [key.kid, key]));
+    const signingKid = process.env.JWT_SIGNING_KID || keys.filter(key => key.privatePem).map(key => key.kid).pop();
+    const signingKey = byKid.get(signingKid);
+    if (!signingKey || !signingKey.privatePem) {
+        throw new Error(`No private key for signing kid "${signingKid}" in ${path.resolve(dir)}`);
+    }
+
+    // Sign with the current signing key
+    const sign = (payload, options = {}) => jwt.sign(payload, signingKey.privatePem, {
+        ...options,
+        algorithm: signingKey.alg,
+        keyid: signingKey.kid,
+        issuer
+    });
+
+    // Verify with the key named by the token's kid, pinned to that key's
+    // algorithm. Throws like jwt.verify on any problem.
+    const verify = (token) => {
+        const decoded = jwt.decode(token, { complete: true });
+        const key = decoded && byKid.get(decoded.header.kid);
+        if (!key) {
+            throw new jwt.JsonWebTokenError('Unknown signing key');
+        }
+        return jwt.verify(token, key.publicPem, { algorithms: [key.alg], issuer });
+    };
+
+    // Public keys as a JSON Web Key Set
+    const jwks = () => ({
+        keys: keys.map(key => ({
+            ...key.publicKey.export({ format: 'jwk' }),
+            kid: key.kid,
+            alg: key.alg,
+            use: 'sig'
+        }))
+    });
+
+    console.log(`JWT signing key "${signingKey.kid}" (${signingKey.alg}); ${keys.length} verification key(s) loaded`);
+
+    return { sign, verify, jwks };
+};
+
+// Write a new private key into `dir`. The public half is derived from it when
+// loading; a .pub.pem is only needed once the private key is retired.
+const generateKey = (dir, type = 'rsa', kid = `${new Date().toISOString().slice(0, 10)}-${type}`) => {
+    const { privateKey } = type === 'ec'
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = path.join(dir, `${kid}${PRIVATE_SUFFIX}`);
+    fs.writeFileSync(filePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+    return filePath;
+};
+
+if (require.main === module) {
+    const [command, dir, type, kid] = process.argv.slice(2);
+    if (command !== 'generate' || !dir || !['rsa', 'ec'].includes(type || 'rsa')) {
+        console.error('Usage: node jwtKeys.js generate <dir> <rsa|ec> [kid]');
+        process.exit(1);
+    }
+    console.log(`Wrote ${generateKey(dir, type, kid)}`);
+}
+
+module.exports = { createKeyRing, generateKey };
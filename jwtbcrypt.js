@@ -1,7 +1,15 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { createMailer } = require('./mailer');
+const totp = require('./totp');
+const { createLoginThrottle } = require('./loginThrottle');
+const { createApiKeyStore, extractApiKey, requiredScope, hasScope } = require('./apiKeys');
+const { createKeyRing } = require('./jwtKeys');
+const { createSessionStore, describeSession } = require('./sessions');
+const { createPasswordPolicy } = require('./passwordPolicy');
+const { createPasswordHasher } = require('./passwordHashing');
+const { createOidcClient, usedMultipleFactors, pickUsername } = require('./oidc');
 const app = express();
 const PORT = 3000;
 
@@ -9,7 +17,9 @@ const PORT = 3000;
 app.use(express.json());
 
 // MongoDB Connection
-mongoose.connect('mongodb://localhost:27017/authdb', {
+// A dedicated connection keeps this module importable by other servers
+// (e.g. CURDAPI.js) that use the default mongoose connection for their own data.
+const authDb = mongoose.createConnection('mongodb://localhost:27017/authdb', {
     useNewUrlParser: true,
     useUnifiedTopology: true
 });
@@ -29,17 +39,453 @@ const userSchema = new mongoose.Schema({
     password: {
         type: String,
         required: true
-    }
+    },
+    // Bumped by /logout-all; access tokens carrying an older version are rejected
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
+    // Hashes of earlier passwords, newest first, checked by the password policy
+    passwordHistory: {
+        type: [String],
+        select: false
+    },
+    // TOTP two-factor authentication. The secret and recovery code hashes are
+    // never selected unless asked for explicitly.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: Date,
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret from /2fa/setup, waiting for /2fa/confirm
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // Last accepted time step, so a code can't be used twice
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        }
+    },
+    // Accounts at external identity providers (OIDC) linked to this user
+    identities: [{
+        _id: false,
+        issuer: String,
+        subject: String,
+        linkedAt: Date
+    }]
 });
 
+// An identity can only be linked to one user
+userSchema.index(
+    { 'identities.issuer': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // User Model
-const User = mongoose.model('User', userSchema);
+const User = authDb.model('User', userSchema);
+
+// Refresh Token Schema
+// Only a SHA-256 hash of each token is stored. Tokens issued by rotating one
+// another share a family, so a reused (already rotated) token can revoke the
+// whole chain.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['rotated', 'logout', 'logout-all', 'reuse'],
+        default: null
+    },
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// MongoDB removes refresh tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-// JWT Secret (should be in .env in production)
+// Refresh Token Model
+const RefreshToken = authDb.model('RefreshToken', refreshTokenSchema);
+
+// One-Time Token Schema - single-use, expiring tokens sent by email for
+// verifying an address or resetting a password. Only a hash is stored.
+const oneTimeTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['verify-email', 'reset-password'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+oneTimeTokenSchema.index({ user: 1, purpose: 1 });
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// One-Time Token Model
+const OneTimeToken = authDb.model('OneTimeToken', oneTimeTokenSchema);
+
+// Email settings
+// Set REQUIRE_EMAIL_VERIFICATION=true to block login until the address is verified
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+// Base URL of the page the email links open; it POSTs the token back here
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const ONE_TIME_TOKEN_TTL_MS = {
+    'verify-email': 24 * 60 * 60 * 1000,
+    'reset-password': 60 * 60 * 1000
+};
+const mailer = createMailer();
+
+// Failed-login tracking per account and IP (see loginThrottle.js)
+const loginThrottle = createLoginThrottle(authDb);
+
+// API keys for scripts and service accounts (see apiKeys.js). These are the
+// resources a key can be scoped to, including the task API in CURDAPI.js.
+const API_KEY_SCOPES = [
+    'profile:read',
+    'tasks:read', 'tasks:write',
+    'projects:read', 'projects:write',
+    'labels:read', 'labels:write'
+];
+const apiKeys = createApiKeyStore(authDb, { scopes: API_KEY_SCOPES });
+
+// One session per login (see sessions.js); it lives as long as its refresh token family
+const sessions = createSessionStore(authDb);
+
+// Password rules for signup and reset (see passwordPolicy.js)
+const passwordPolicy = createPasswordPolicy();
+
+// Password hashing algorithm and cost (see passwordHashing.js)
+const passwordHasher = createPasswordHasher();
+
+// Single sign-on through an external identity provider (see oidc.js)
+const oidc = createOidcClient(authDb);
+
+// JWT signing keys (see jwtKeys.js). The secret is only used for HS256 when
+// no key files are configured.
 const JWT_SECRET = 'your-secret-key-change-this';
+const keyRing = createKeyRing({ issuer: 'bee-auth', fallbackSecret: JWT_SECRET });
+
+// Token lifetimes: access tokens are short-lived now that they can be refreshed
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Two-factor settings: the issuer shown in authenticator apps and how long
+// the challenge token returned by /login stays valid
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'BEE Auth';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_SELECT = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign an access token and store a new refresh token. A refresh passes the
+// existing `session`; otherwise a new session is started for `req` (with a
+// new refresh token family, or `family` for tokens issued before sessions).
+const issueTokens = async (user, { req, session, family = crypto.randomUUID() }) => {
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    if (session) {
+        await sessions.extend(session._id, expiresAt);
+    } else {
+        session = await sessions.start({ user: user._id, req, expiresAt, family });
+    }
+
+    const token = keyRing.sign(
+        { userId: user._id, username: user.username, tv: user.tokenVersion, sid: session._id },
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const stored = await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        family: session.family,
+        expiresAt
+    });
+
+    return { token, refreshToken, refreshTokenId: stored._id, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+// Revoke every still-active refresh token matching `filter`
+const revokeRefreshTokens = (filter, reason) => RefreshToken.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+);
+
+// End the session of a refresh token family, revoking its refresh tokens
+const endSession = async (family, reason) => {
+    await revokeRefreshTokens({ family }, reason);
+    await sessions.revokeFamily(family, reason);
+};
+
+// Create a one-time token for `purpose`, replacing any unused earlier one
+const createOneTimeToken = async (user, purpose) => {
+    await OneTimeToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await OneTimeToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ONE_TIME_TOKEN_TTL_MS[purpose])
+    });
+    return token;
+};
+
+const usableOneTimeToken = (token, purpose) => ({
+    tokenHash: hashToken(String(token)),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+});
+
+// Look up a one-time token without using it; null if unknown, expired or used
+const findOneTimeToken = (token, purpose) => OneTimeToken.findOne(usableOneTimeToken(token, purpose));
+
+// Mark a one-time token as used; returns it, or null if unknown, expired or used
+const consumeOneTimeToken = (token, purpose) => OneTimeToken.findOneAndUpdate(
+    usableOneTimeToken(token, purpose),
+    { usedAt: new Date() }
+);
+
+const sendVerificationEmail = async (user) => {
+    const token = await createOneTimeToken(user, 'verify-email');
+    await mailer.send({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'Confirm your email address by opening the link below (valid for 24 hours):',
+            `${APP_URL}/verify-email?token=${token}`,
+            '',
+            `Or send this token to POST /verify-email: ${token}`
+        ].join('\n')
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await createOneTimeToken(user, 'reset-password');
+    await mailer.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+            `Hi ${user.username},`,
+            '',
+            'Someone asked to reset your password. Open the link below to choose a new one (valid for 1 hour):',
+            `${APP_URL}/reset-password?token=${token}`,
+            '',
+            `Or send this token to POST /reset-password: ${token}`,
+            '',
+            'If this wasn\'t you, you can ignore this email.'
+        ].join('\n')
+    });
+};
+
+// Short-lived token proving the password step of a two-factor login. It
+// carries a purpose claim, which authenticateToken refuses.
+const signTwoFactorChallenge = (user) => keyRing.sign(
+    { userId: user._id, purpose: '2fa-challenge', tv: user.tokenVersion },
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+// Check a TOTP code or a recovery code for a user loaded with TWO_FACTOR_SELECT.
+// Both are consumed atomically so concurrent requests can't use one twice.
+// Returns { method, remainingRecoveryCodes } or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = totp.verifyTotp(user.twoFactor.secret, code, {
+            lastUsedStep: user.twoFactor.lastUsedStep
+        });
+        if (step === null) return null;
+
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { 'twoFactor.lastUsedStep': null },
+                    { 'twoFactor.lastUsedStep': { $lt: step } }
+                ]
+            },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        const matched = result.matchedCount !== undefined ? result.matchedCount : result.n;
+        return matched ? { method: 'totp' } : null;
+    }
+
+    if (recoveryCode) {
+        const hash = totp.hashRecoveryCode(recoveryCode);
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } },
+            { new: true }
+        ).select('+twoFactor.recoveryCodes');
+        return updated
+            ? { method: 'recovery-code', remainingRecoveryCodes: updated.twoFactor.recoveryCodes.length }
+            : null;
+    }
+
+    return null;
+};
+
+// The local user for an OIDC login: the one already linked to the identity,
+// else the account with the same (provider-verified) email, which gets
+// linked, else a new account. Resolves to { user, status } where status is
+// "existing", "linked" or "created".
+const findOrCreateOidcUser = async (claims) => {
+    const identity = { issuer: oidc.issuer, subject: claims.sub };
+
+    const existing = await User.findOne({ identities: { $elemMatch: identity } });
+    if (existing) {
+        return { user: existing, status: 'existing' };
+    }
+
+    if (!claims.email) {
+        throw Object.assign(new Error('The identity provider did not share an email address'), { status: 400 });
+    }
+
+    // Only an address the provider verified may take over a local account
+    if (claims.email_verified === true) {
+        const linked = await User.findOneAndUpdate(
+            { email: claims.email },
+            { $push: { identities: { ...identity, linkedAt: new Date() } } },
+            { new: true }
+        );
+        if (linked) {
+            return { user: linked, status: 'linked' };
+        }
+    } else if (await User.exists({ email: claims.email })) {
+        throw Object.assign(
+            new Error('An account with this email already exists; verify the email with your identity provider to link it'),
+            { status: 409 }
+        );
+    }
+
+    // The random password can't be guessed; /forgot-password sets a real one
+    const user = await User.create({
+        username: await pickUsername(claims, name => User.exists({ username: name })),
+        email: claims.email,
+        password: await passwordHasher.hash(crypto.randomBytes(32).toString('base64url')),
+        emailVerified: claims.email_verified === true,
+        emailVerifiedAt: claims.email_verified === true ? new Date() : undefined,
+        identities: [{ ...identity, linkedAt: new Date() }]
+    });
+    return { user, status: 'created' };
+};
+
+// 400 listing the password policy rules a new password breaks
+const sendWeakPassword = (res, errors) => res.status(400).json({
+    error: 'Password does not meet the requirements',
+    code: 'WEAK_PASSWORD',
+    details: errors
+});
+
+// Refuse a login attempt blocked by the throttle (423 locked, 429 delayed)
+const sendThrottled = (res, block) => {
+    res.set('Retry-After', String(block.retryAfter));
+    res.status(block.status).json({ error: block.message, code: block.reason, retryAfter: block.retryAfter });
+};
+
+// Count a failed login; announces the lockout if this failure triggered one
+const rejectLogin = async (res, subject, status, error) => {
+    const block = await loginThrottle.recordFailure(subject);
+    if (block && block.status === 423) {
+        return sendThrottled(res, block);
+    }
+    res.status(status).json({ error });
+};
+
+// Authenticate a request made with an API key instead of a JWT
+const authenticateApiKey = async (key, req, res, next) => {
+    try {
+        const apiKey = await apiKeys.verify(key, req.ip);
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Invalid or expired API key' });
+        }
+
+        const scope = requiredScope(req);
+        if (!hasScope(apiKey, scope)) {
+            return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+        }
+
+        const user = await User.findById(apiKey.user, 'username').lean();
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired API key' });
+        }
+
+        req.user = { userId: String(user._id), username: user.username, apiKey: { id: apiKey._id, scopes: apiKey.scopes } };
+        next();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
 
 // Middleware to protect routes
-const authenticateToken = (req, res, next) => {
+// Accepts a JWT access token or an API key (X-API-Key header or bearer bee_...)
+const authenticateToken = async (req, res, next) => {
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+        return authenticateApiKey(apiKey, req, res, next);
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
     
@@ -47,13 +493,32 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
     
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
+    let user;
+    try {
+        user = keyRing.verify(token);
+    } catch (err) {
+        user = null;
+    }
+    // Two-factor challenge tokens only work on /login/2fa
+    if (!user || user.purpose) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+    
+    try {
+        // Tokens issued before the user's last /logout-all are no longer valid
+        const account = await User.findById(user.userId, 'tokenVersion').lean();
+        if (!account || (account.tokenVersion || 0) !== (user.tv || 0)) {
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
+        // ...and neither are tokens whose session was revoked
+        if (!(await sessions.validate(user.sid, req))) {
+            return res.status(403).json({ error: 'Session expired or revoked' });
+        }
         req.user = user;
         next();
-    });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 };
 
 // Routes
@@ -69,8 +534,13 @@ app.post('/signup', async (req, res) => {
             return res.status(400).json({ error: 'User already exists' });
         }
         
+        const passwordErrors = await passwordPolicy.validate(password, { username, email });
+        if (passwordErrors.length) {
+            return sendWeakPassword(res, passwordErrors);
+        }
+        
         // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+        const hashedPassword = await passwordHasher.hash(password);
         
         // Create user
         const user = new User({
@@ -81,22 +551,36 @@ app.post('/signup', async (req, res) => {
         
         await user.save();
         
-        // Create JWT token
-        const token = jwt.sign(
-            { userId: user._id, username: user.username },
-            JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        // The account exists now, so a mail failure must not be reported
+        // as a failed signup
+        let emailSent = true;
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            emailSent = false;
+            console.error(`Verification email to ${user.email} failed:`, error.message);
+        }
         
-        res.status(201).json({
-            message: 'User created successfully',
-            token,
+        const response = {
+            message: emailSent
+                ? 'User created successfully. Check your inbox to verify your email.'
+                : 'User created, but the verification email could not be sent. Request a new one with POST /verify-email/resend.',
+            emailSent,
             user: {
                 id: user._id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                emailVerified: user.emailVerified
             }
-        });
+        };
+        
+        // No tokens until the email is verified when verification is required
+        if (!REQUIRE_EMAIL_VERIFICATION) {
+            const { token, refreshToken, expiresIn } = await issueTokens(user, { req });
+            Object.assign(response, { token, refreshToken, expiresIn });
+        }
+        
+        res.status(201).json(response);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -106,29 +590,56 @@ app.post('/signup', async (req, res) => {
 app.post('/login', async (req, res) => {
     try {
         const { email, password } = req.body;
+        const attempt = { account: email, ip: req.ip };
+        
+        // Refuse while the account or IP is locked out or delayed
+        const block = await loginThrottle.check(attempt);
+        if (block) {
+            return sendThrottled(res, block);
+        }
         
         // Find user by email
         const user = await User.findOne({ email });
         if (!user) {
-            return res.status(400).json({ error: 'Invalid credentials' });
+            return rejectLogin(res, attempt, 400, 'Invalid credentials');
         }
         
         // Check password
-        const isPasswordValid = await bcrypt.compare(password, user.password);
+        const isPasswordValid = await passwordHasher.verify(password, user.password);
         if (!isPasswordValid) {
-            return res.status(400).json({ error: 'Invalid credentials' });
+            return rejectLogin(res, attempt, 400, 'Invalid credentials');
         }
         
-        // Create JWT token
-        const token = jwt.sign(
-            { userId: user._id, username: user.username },
-            JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        // Upgrade a hash made with an older algorithm or cost while we have the password
+        if (passwordHasher.needsRehash(user.password)) {
+            user.password = await passwordHasher.hash(password);
+            await User.updateOne({ _id: user._id }, { password: user.password });
+        }
+        
+        // Block unverified accounts when verification is required
+        if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+            return res.status(403).json({ error: 'Email not verified', code: 'EMAIL_NOT_VERIFIED' });
+        }
+        
+        // With 2FA on, the password only earns a challenge token for /login/2fa
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(user),
+                expiresIn: TWO_FACTOR_CHALLENGE_TTL
+            });
+        }
+        
+        // Create access + refresh tokens
+        const { token, refreshToken, expiresIn } = await issueTokens(user, { req });
+        await loginThrottle.recordSuccess(attempt);
         
         res.json({
             message: 'Login successful',
             token,
+            refreshToken,
+            expiresIn,
             user: {
                 id: user._id,
                 username: user.username,
@@ -143,7 +654,7 @@ app.post('/login', async (req, res) => {
 // 3. PROTECTED ROUTE - Profile
 app.get('/profile', authenticateToken, async (req, res) => {
     try {
-        const user = await User.findById(req.user.userId).select('-password');
+        const user = await User.findById(req.user.userId).select('-password -tokenVersion');
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
@@ -156,17 +667,566 @@ app.get('/profile', authenticateToken, async (req, res) => {
     }
 });
 
-// 4. GET all users (for testing)
+// 4. REFRESH - Exchange a refresh token for a new access + refresh token pair
+//    The presented refresh token is rotated (single use). Presenting one that
+//    was already rotated means it leaked, so its whole family (the session) is revoked.
+app.post('/token/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+        if (!stored || stored.expiresAt <= new Date()) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        if (stored.revokedAt) {
+            if (stored.revokedReason === 'rotated') {
+                await endSession(stored.family, 'reuse');
+                return res.status(401).json({ error: 'Refresh token reuse detected; please log in again' });
+            }
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        // Rotate: only one request can consume the token, a concurrent one counts as reuse
+        const consumed = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: 'rotated' }
+        );
+        if (!consumed) {
+            await endSession(stored.family, 'reuse');
+            return res.status(401).json({ error: 'Refresh token reuse detected; please log in again' });
+        }
+
+        const user = await User.findById(stored.user);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        // Families from before sessions existed get a session now
+        const session = await sessions.forFamily(stored.family);
+        if (session && (session.revokedAt || session.expiresAt <= new Date())) {
+            return res.status(401).json({ error: 'Session expired or revoked' });
+        }
+
+        const tokens = await issueTokens(user, { req, session, family: stored.family });
+        await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: tokens.refreshTokenId });
+
+        res.json({
+            message: 'Token refreshed successfully',
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 5. LOGOUT - End this device's session, revoking its refresh tokens
+app.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+        if (stored) {
+            await endSession(stored.family, 'logout');
+        }
+
+        // Same answer either way so the endpoint can't be used to probe tokens
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 6. LOGOUT ALL - Revoke every refresh token and invalidate all access tokens
+app.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user.userId }, { $inc: { tokenVersion: 1 } });
+        const result = await revokeRefreshTokens({ user: req.user.userId }, 'logout-all');
+        await sessions.revokeAll(req.user.userId, 'logout-all');
+
+        res.json({
+            message: 'Logged out from all devices',
+            revokedRefreshTokens: result.modifiedCount !== undefined ? result.modifiedCount : result.nModified
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 7. VERIFY EMAIL - Confirm an address with the token from the verification email
+app.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ error: 'Token required' });
+        }
+
+        const used = await consumeOneTimeToken(token, 'verify-email');
+        if (!used) {
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            used.user,
+            { emailVerified: true, emailVerifiedAt: new Date() },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 8. RESEND VERIFICATION - Send a fresh verification email
+app.post('/verify-email/resend', async (req, res) => {
+    try {
+        const { email } = req.body;
+        const user = await User.findOne({ email });
+        if (user && !user.emailVerified) {
+            await sendVerificationEmail(user);
+        }
+
+        // Same answer whether or not the account exists
+        res.json({ message: 'If the account exists and is unverified, a new email has been sent' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 9. FORGOT PASSWORD - Email a password reset token
+app.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+        const user = await User.findOne({ email });
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+
+        // Same answer whether or not the account exists
+        res.json({ message: 'If the account exists, a password reset email has been sent' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 10. RESET PASSWORD - Set a new password with a reset token
+//     Signs the user out everywhere, since the old password may be compromised,
+//     and lifts any login lockout on the account.
+app.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Token and password required' });
+        }
+
+        // Check the new password before using up the token, so a rejected
+        // password can be retried with the same email
+        const pending = await findOneTimeToken(token, 'reset-password');
+        if (!pending) {
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+
+        const user = await User.findById(pending.user).select('+passwordHistory');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const passwordErrors = await passwordPolicy.validate(password, {
+            username: user.username,
+            email: user.email,
+            previousHashes: [user.password, ...(user.passwordHistory || [])],
+            compare: passwordHasher.verify
+        });
+        if (passwordErrors.length) {
+            return sendWeakPassword(res, passwordErrors);
+        }
+
+        const used = await consumeOneTimeToken(token, 'reset-password');
+        if (!used) {
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+
+        user.passwordHistory = passwordPolicy.nextHistory(user.password, user.passwordHistory);
+        user.password = await passwordHasher.hash(password);
+        user.tokenVersion += 1;
+        // Receiving the reset email proves the address belongs to the user
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+        await revokeRefreshTokens({ user: user._id }, 'logout-all');
+        await sessions.revokeAll(user._id, 'password-reset');
+        // Proving control of the mailbox also lifts a login lockout
+        await loginThrottle.unlock({ account: user.email });
+
+        res.json({ message: 'Password reset successfully. Please log in again.' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 11. LOGIN (2FA STEP) - Exchange a challenge token and a TOTP or recovery code for tokens
+app.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Challenge token and code or recovery code required' });
+        }
+
+        let challenge;
+        try {
+            challenge = keyRing.verify(challengeToken);
+        } catch (err) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token' });
+        }
+        if (challenge.purpose !== '2fa-challenge') {
+            return res.status(401).json({ error: 'Invalid or expired challenge token' });
+        }
+
+        const user = await User.findById(challenge.userId).select(TWO_FACTOR_SELECT);
+        if (!user || !user.twoFactor.enabled || (user.tokenVersion || 0) !== (challenge.tv || 0)) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token' });
+        }
+
+        // Wrong codes count against the account like wrong passwords
+        const attempt = { account: user.email, ip: req.ip };
+        const block = await loginThrottle.check(attempt);
+        if (block) {
+            return sendThrottled(res, block);
+        }
+
+        const verified = await verifySecondFactor(user, { code, recoveryCode });
+        if (!verified) {
+            return rejectLogin(res, attempt, 400, 'Invalid two-factor code');
+        }
+
+        const { token, refreshToken, expiresIn } = await issueTokens(user, { req });
+        await loginThrottle.recordSuccess(attempt);
+
+        const response = {
+            message: 'Login successful',
+            token,
+            refreshToken,
+            expiresIn,
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email
+            }
+        };
+        if (verified.method === 'recovery-code') {
+            response.remainingRecoveryCodes = verified.remainingRecoveryCodes;
+        }
+
+        res.json(response);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 12. 2FA SETUP - Start enrollment: a new secret as an otpauth URI and QR code
+//     Nothing changes until the secret is confirmed with a code from the app.
+app.post('/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = totp.generateSecret();
+        await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+        const otpauthUri = totp.otpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER });
+        res.json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            secret,
+            otpauthUri,
+            qrCode: await totp.qrCodeDataUrl(otpauthUri)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 13. 2FA CONFIRM - Enable 2FA with a code for the pending secret
+//     Returns the recovery codes; this is the only time they are shown.
+app.post('/2fa/confirm', authenticateToken, async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ error: 'Code required' });
+        }
+
+        const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({ error: 'Start with POST /2fa/setup' });
+        }
+
+        const step = totp.verifyTotp(user.twoFactor.pendingSecret, code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        user.twoFactor = {
+            enabled: true,
+            enabledAt: new Date(),
+            secret: user.twoFactor.pendingSecret,
+            pendingSecret: undefined,
+            lastUsedStep: step,
+            recoveryCodes: recoveryCodes.map(totp.hashRecoveryCode)
+        };
+        await user.save();
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+            recoveryCodes
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 14. 2FA RECOVERY CODES - Replace the recovery codes (needs a current code)
+app.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const verified = await verifySecondFactor(user, { code: req.body.code });
+        if (!verified) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            { 'twoFactor.recoveryCodes': recoveryCodes.map(totp.hashRecoveryCode) }
+        );
+
+        res.json({ message: 'Recovery codes replaced', recoveryCodes });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 15. 2FA DISABLE - Turn 2FA off (needs the password and a code or recovery code)
+app.post('/2fa/disable', authenticateToken, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Password and code or recovery code required' });
+        }
+
+        const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const isPasswordValid = await passwordHasher.verify(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({ error: 'Invalid credentials' });
+        }
+
+        const verified = await verifySecondFactor(user, { code, recoveryCode });
+        if (!verified) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+
+        await User.updateOne({ _id: user._id }, { $unset: { twoFactor: 1 } });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 16. CREATE API KEY - { name, scopes, expiresAt? }
+//     The key is in this response only; it is stored as a hash.
+app.post('/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+        const invalid = apiKeys.validate({ name, scopes, expiresAt });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const { key, apiKey } = await apiKeys.create({ user: req.user.userId, name, scopes, expiresAt });
+
+        res.status(201).json({
+            message: 'API key created. Copy it now; it won\'t be shown again.',
+            key,
+            apiKey: {
+                id: apiKey._id,
+                name: apiKey.name,
+                hint: apiKey.hint,
+                scopes: apiKey.scopes,
+                expiresAt: apiKey.expiresAt,
+                createdAt: apiKey.createdAt
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 17. LIST API KEYS - Your keys, including revoked and expired ones
+app.get('/api-keys', authenticateToken, async (req, res) => {
+    try {
+        res.json(await apiKeys.list(req.user.userId));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 18. REVOKE API KEY
+app.delete('/api-keys/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const apiKey = await apiKeys.revoke(req.user.userId, req.params.id);
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.json({ message: 'API key revoked', apiKey });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 19. JWKS - Public keys for verifying tokens issued by this server
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(keyRing.jwks());
+});
+
+// 20. SESSIONS - Where you're logged in
+app.get('/profile/sessions', authenticateToken, async (req, res) => {
+    try {
+        const active = await sessions.list(req.user.userId);
+        res.json(active.map(session => describeSession(session, req.user.sid)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 21. END SESSION - Log out one device (e.g. a lost phone), revoking its refresh tokens
+app.delete('/profile/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const session = await sessions.revoke(req.user.userId, req.params.id, 'user');
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        await revokeRefreshTokens({ family: session.family }, 'logout');
+
+        res.json({ message: 'Session ended', session: describeSession(session, req.user.sid) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 22. PASSWORD POLICY - The rules new passwords must follow
+app.get('/password-policy', (req, res) => {
+    res.json(passwordPolicy.describe());
+});
+
+// 23. OIDC LOGIN - Redirect to the identity provider
+app.get('/auth/oidc/login', async (req, res) => {
+    try {
+        res.redirect(await oidc.beginLogin());
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 24. OIDC CALLBACK - The provider sends the browser back here with a code
+//     Logs in the linked (or newly linked or created) user. Local 2FA is still
+//     asked for unless the provider reports that the login used several factors.
+app.get('/auth/oidc/callback', async (req, res) => {
+    try {
+        const claims = await oidc.completeLogin(req.query);
+        const { user, status } = await findOrCreateOidcUser(claims);
+
+        if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+            return res.status(403).json({ error: 'Email not verified', code: 'EMAIL_NOT_VERIFIED' });
+        }
+
+        if (user.twoFactor && user.twoFactor.enabled && !usedMultipleFactors(claims)) {
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(user),
+                expiresIn: TWO_FACTOR_CHALLENGE_TTL
+            });
+        }
+
+        const { token, refreshToken, expiresIn } = await issueTokens(user, { req });
+
+        res.json({
+            message: status === 'created' ? 'Account created and logged in' : 'Login successful',
+            account: status,
+            token,
+            refreshToken,
+            expiresIn,
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 25. GET all users (for testing)
 app.get('/users', async (req, res) => {
     try {
-        const users = await User.find().select('-password');
+        const users = await User.find().select('-password -tokenVersion');
         res.json(users);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Start Server
-app.listen(PORT, () => {
-    console.log(`Auth server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Start Server (only when run directly, not when required by another server)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Auth server running on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { app, authDb, User, authenticateToken };
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+
+// ========================
+// LOGIN THROTTLING
+// ========================
+// Failed logins are counted per account (email) and per client IP in MongoDB,
+// so limits survive restarts and are shared by every instance of a server.
+//
+// - After DELAY_AFTER failures, each further attempt must wait an increasing
+//   delay (429 + Retry-After).
+// - After MAX_FAILURES (per account) or IP_MAX_FAILURES (per IP) the key is
+//   locked (423 + Retry-After). Each lockout of the same key lasts twice as
+//   long as the previous one, up to MAX_LOCKOUT_MS.
+// - Failures older than FAILURE_WINDOW_MS are forgotten.
+
+const MINUTE = 60 * 1000;
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const DEFAULTS = {
+    MAX_FAILURES: numberFromEnv('LOGIN_MAX_FAILURES', 5),
+    IP_MAX_FAILURES: numberFromEnv('LOGIN_IP_MAX_FAILURES', 20),
+    DELAY_AFTER: numberFromEnv('LOGIN_DELAY_AFTER', 2),
+    BASE_DELAY_MS: numberFromEnv('LOGIN_BASE_DELAY_MS', 1000),
+    MAX_DELAY_MS: numberFromEnv('LOGIN_MAX_DELAY_MS', 30 * 1000),
+    LOCKOUT_MS: numberFromEnv('LOGIN_LOCKOUT_MS', 15 * MINUTE),
+    MAX_LOCKOUT_MS: numberFromEnv('LOGIN_MAX_LOCKOUT_MS', 24 * 60 * MINUTE),
+    FAILURE_WINDOW_MS: numberFromEnv('LOGIN_FAILURE_WINDOW_MS', 15 * MINUTE),
+    // How long a key's lockout count is remembered after its last failure
+    MEMORY_MS: numberFromEnv('LOGIN_MEMORY_MS', 24 * 60 * MINUTE)
+};
+
+const loginAttemptSchema = new mongoose.Schema({
+    // "account:<email>" or "ip:<address>"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lockouts: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: Date,
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// MongoDB drops records once nothing about them needs remembering
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date - now) / 1000));
+
+// Build a throttle whose records live on `connection` (a mongoose connection,
+// or mongoose itself for the default one)
+const createLoginThrottle = (connection, options = {}) => {
+    const config = { ...DEFAULTS, ...options };
+    const LoginAttempt = connection.models.LoginAttempt
+        || connection.model('LoginAttempt', loginAttemptSchema);
+
+    const keysFor = ({ account, ip }) => [
+        account !== undefined ? { key: accountKey(account), type: 'account' } : null,
+        ip !== undefined ? { key: ipKey(ip), type: 'ip' } : null
+    ].filter(Boolean);
+
+    // Why `record` blocks an attempt right now, or null
+    const blockFor = (record, type, now) => {
+        if (record.lockedUntil && record.lockedUntil > now) {
+            return {
+                status: 423,
+                reason: type === 'account' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED',
+                retryAfter: secondsUntil(record.lockedUntil, now),
+                message: type === 'account'
+                    ? 'Account temporarily locked after too many failed login attempts'
+                    : 'Too many failed login attempts from this address'
+            };
+        }
+        if (record.nextAttemptAt && record.nextAttemptAt > now) {
+            return {
+                status: 429,
+                reason: 'LOGIN_DELAYED',
+                retryAfter: secondsUntil(record.nextAttemptAt, now),
+                message: 'Too many failed login attempts; wait before trying again'
+            };
+        }
+        return null;
+    };
+
+    // Returns { status, reason, retryAfter, message } if the attempt must be
+    // refused, or null if it may go ahead
+    const check = async (subject) => {
+        const now = new Date();
+        const keys = keysFor(subject);
+        const records = await LoginAttempt.find({ key: { $in: keys.map(k => k.key) } }).lean();
+
+        // Report the account block first; it is the one the user can act on
+        for (const { key, type } of keys) {
+            const record = records.find(r => r.key === key);
+            const block = record && blockFor(record, type, now);
+            if (block) return block;
+        }
+        return null;
+    };
+
+    const recordKeyFailure = async (key, type, now) => {
+        const threshold = type === 'account' ? config.MAX_FAILURES : config.IP_MAX_FAILURES;
+
+        // Start counting again once the last failure is outside the window
+        await LoginAttempt.updateOne(
+            { key, lastFailureAt: { $lt: new Date(now - config.FAILURE_WINDOW_MS) } },
+            { failures: 0 }
+        );
+
+        const record = await LoginAttempt.findOneAndUpdate(
+            { key },
+            {
+                $inc: { failures: 1 },
+                lastFailureAt: now,
+                expiresAt: new Date(now.getTime() + config.MEMORY_MS)
+            },
+            { upsert: true, new: true }
+        );
+
+        if (record.failures >= threshold) {
+            const lockMs = Math.min(config.LOCKOUT_MS * 2 ** (record.lockouts || 0), config.MAX_LOCKOUT_MS);
+            const lockedUntil = new Date(now.getTime() + lockMs);
+            return LoginAttempt.findOneAndUpdate(
+                { key },
+                {
+                    failures: 0,
+                    $inc: { lockouts: 1 },
+                    lockedUntil,
+                    nextAttemptAt: null,
+                    expiresAt: new Date(lockedUntil.getTime() + config.MEMORY_MS)
+                },
+                { new: true }
+            ).lean();
+        }
+
+        if (record.failures >= config.DELAY_AFTER) {
+            const delayMs = Math.min(
+                config.BASE_DELAY_MS * 2 ** (record.failures - config.DELAY_AFTER),
+                config.MAX_DELAY_MS
+            );
+            return LoginAttempt.findOneAndUpdate(
+                { key },
+                { nextAttemptAt: new Date(now.getTime() + delayMs) },
+                { new: true }
+            ).lean();
+        }
+
+        return record.toObject();
+    };
+
+    // Count a failed attempt against the account and the IP. Returns the block
+    // the next attempt will hit (if any), so the response can announce it.
+    const recordFailure = async (subject) => {
+        const now = new Date();
+        const keys = keysFor(subject);
+        const records = [];
+        for (const { key, type } of keys) {
+            records.push({ type, record: await recordKeyFailure(key, type, now) });
+        }
+        for (const { type, record } of records) {
+            const block = blockFor(record, type, now);
+            if (block) return block;
+        }
+        return null;
+    };
+
+    // A completed login forgets the account's failures (not the IP's, so one
+    // known password can't reset the counter for guessing others)
+    const recordSuccess = ({ account }) => LoginAttempt.deleteOne({ key: accountKey(account) });
+
+    // Lift a lockout (account and/or IP). Resolves to the number of records cleared.
+    const unlock = async (subject) => {
+        const result = await LoginAttempt.deleteMany({ key: { $in: keysFor(subject).map(k => k.key) } });
+        return result.deletedCount;
+    };
+
+    // Current failures and lockout state for an account, for admin views
+    const status = async ({ account }) => {
+        const record = await LoginAttempt.findOne({ key: accountKey(account) }).lean();
+        const now = new Date();
+        return {
+            failures: record ? record.failures : 0,
+            lockouts: record ? record.lockouts : 0,
+            lockedUntil: record && record.lockedUntil > now ? record.lockedUntil : null
+        };
+    };
+
+    return { check, recordFailure, recordSuccess, unlock, status, LoginAttempt };
+};
+
+module.exports = { createLoginThrottle };
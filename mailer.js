@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ========================
+// MAIL TRANSPORTS
+// ========================
+// A transport is an object with an async send({ to, subject, text }).
+// Add an entry here to plug in a real provider (SMTP, an HTTP API, ...) and
+// select it with MAIL_TRANSPORT. Nothing leaves the machine by default.
+
+const transports = {
+    // Print every message to the console
+    console: () => ({
+        send: async (message) => {
+            console.log('========== OUTGOING MAIL ==========');
+            console.log(`To: ${message.to}`);
+            console.log(`Subject: ${message.subject}`);
+            console.log('');
+            console.log(message.text);
+            console.log('===================================');
+        }
+    }),
+
+    // Write every message as an .eml file into MAIL_DIR (default ./mail)
+    file: () => {
+        const dir = process.env.MAIL_DIR || 'mail';
+
+        return {
+            send: async (message) => {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+                const filePath = path.join(dir, fileName);
+                const contents = [
+                    `From: ${process.env.MAIL_FROM || 'no-reply@localhost'}`,
+                    `To: ${message.to}`,
+                    `Subject: ${message.subject}`,
+                    `Date: ${new Date().toUTCString()}`,
+                    'Content-Type: text/plain; charset=utf-8',
+                    '',
+                    message.text
+                ].join('\r\n');
+
+                await fs.promises.writeFile(filePath, contents);
+                console.log(`Mail to ${message.to} written to ${filePath}`);
+            }
+        };
+    }
+};
+
+// Build the mailer selected by name (or MAIL_TRANSPORT, default "file")
+const createMailer = (name = process.env.MAIL_TRANSPORT || 'file') => {
+    if (!transports[name]) {
+        throw new Error(`Unknown mail transport "${name}"`);
+    }
+    return transports[name]();
+};
+
+module.exports = { transports, createMailer };
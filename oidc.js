@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// ========================
+// OPENID CONNECT LOGIN
+// ========================
+// Authorization code flow with PKCE against an external identity provider.
+// Configure with:
+//
+//   OIDC_ISSUER         issuer URL; its /.well-known/openid-configuration is
+//                       fetched on first use (a local mock provider works too)
+//   OIDC_CLIENT_ID      client id registered with the provider
+//   OIDC_CLIENT_SECRET  optional; public clients rely on PKCE alone
+//   OIDC_REDIRECT_URI   this server's callback URL, e.g. http://localhost:3000/auth/oidc/callback
+//   OIDC_SCOPES         default "openid email profile"
+//
+// /auth/oidc/login redirects to the provider with a fresh state, nonce and
+// PKCE challenge (kept in MongoDB for 10 minutes). The provider redirects
+// back to /auth/oidc/callback, where the code is exchanged for an ID token
+// whose signature, issuer, audience, expiry and nonce are checked.
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Refetch the provider's keys at most this often when a token names an unknown kid
+const JWKS_REFRESH_MS = 60 * 1000;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const oidcStateSchema = new mongoose.Schema({
+    state: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    nonce: {
+        type: String,
+        required: true
+    },
+    codeVerifier: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const configFromEnv = () => ({
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile'
+});
+
+// Build a client whose pending logins live on `connection` (a mongoose
+// connection, or mongoose itself for the default one)
+const createOidcClient = (connection, config = configFromEnv()) => {
+    const enabled = Boolean(config.issuer && config.clientId && config.redirectUri);
+    const OidcState = connection.models.OidcState || connection.model('OidcState', oidcStateSchema);
+
+    let discovery = null;
+    let signingKeys = new Map();
+    let keysFetchedAt = 0;
+
+    const fetchJson = async (url, options) => {
+        const response = await fetch(url, options);
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            const reason = body && (body.error_description || body.error);
+            throw httpError(502, `Identity provider request to ${url} failed (${response.status})${reason ? `: ${reason}` : ''}`);
+        }
+        return body;
+    };
+
+    // Provider metadata, fetched once
+    const discover = async () => {
+        if (!discovery) {
+            const issuer = config.issuer.replace(/\/$/, '');
+            const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+            if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+                throw httpError(502, `Identity provider reports issuer ${metadata.issuer}, expected ${config.issuer}`);
+            }
+            discovery = metadata;
+        }
+        return discovery;
+    };
+
+    // Public key for a kid, refetching the provider's JWKS if it is unknown
+    const signingKey = async (kid) => {
+        if (!signingKeys.has(kid) && Date.now() - keysFetchedAt > JWKS_REFRESH_MS) {
+            const { jwks_uri: jwksUri } = await discover();
+            const { keys } = await fetchJson(jwksUri);
+            signingKeys = new Map(keys
+                .filter(key => !key.use || key.use === 'sig')
+                .map(key => [key.kid, {
+                    alg: key.alg,
+                    pem: crypto.createPublicKey({ key, format: 'jwk' }).export({ type: 'spki', format: 'pem' })
+                }]));
+            keysFetchedAt = Date.now();
+        }
+        const key = signingKeys.get(kid);
+        if (!key) {
+            throw httpError(401, 'ID token signed with an unknown key');
+        }
+        return key;
+    };
+
+    const verifyIdToken = async (idToken, nonce) => {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw httpError(401, 'Malformed ID token');
+        }
+
+        const key = await signingKey(decoded.header.kid);
+        const algorithms = key.alg ? [key.alg] : ['RS256', 'ES256'];
+        let claims;
+        try {
+            claims = jwt.verify(idToken, key.pem, {
+                algorithms,
+                issuer: discovery.issuer,
+                audience: config.clientId
+            });
+        } catch (error) {
+            throw httpError(401, `Invalid ID token: ${error.message}`);
+        }
+        if (claims.nonce !== nonce) {
+            throw httpError(401, 'ID token nonce mismatch');
+        }
+        return claims;
+    };
+
+    // Start a login; resolves to the provider URL to redirect the browser to
+    const beginLogin = async () => {
+        if (!enabled) {
+            throw httpError(404, 'OIDC login is not configured');
+        }
+        const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+        const state = base64url(crypto.randomBytes(24));
+        const nonce = base64url(crypto.randomBytes(24));
+        const codeVerifier = base64url(crypto.randomBytes(32));
+        await OidcState.create({ state, nonce, codeVerifier, expiresAt: new Date(Date.now() + STATE_TTL_MS) });
+
+        const url = new URL(authorizationEndpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: config.clientId,
+            redirect_uri: config.redirectUri,
+            scope: config.scopes,
+            state,
+            nonce,
+            code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+            code_challenge_method: 'S256'
+        }).toString();
+        return url.toString();
+    };
+
+    // Finish a login from the callback's query string; resolves to the ID token claims
+    const completeLogin = async ({ code, state, error, error_description: errorDescription }) => {
+        if (!enabled) {
+            throw httpError(404, 'OIDC login is not configured');
+        }
+        if (error) {
+            throw httpError(400, `Identity provider returned ${error}${errorDescription ? `: ${errorDescription}` : ''}`);
+        }
+        if (typeof code !== 'string' || typeof state !== 'string') {
+            throw httpError(400, 'code and state are required');
+        }
+
+        // Each state works once
+        const pending = await OidcState.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+        if (!pending) {
+            throw httpError(400, 'Unknown or expired login state; start again');
+        }
+
+        const { token_endpoint: tokenEndpoint } = await discover();
+        const params = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: config.redirectUri,
+            client_id: config.clientId,
+            code_verifier: pending.codeVerifier
+        });
+        if (config.clientSecret) {
+            params.set('client_secret', config.clientSecret);
+        }
+        const tokens = await fetchJson(tokenEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: params.toString()
+        });
+        if (!tokens.id_token) {
+            throw httpError(502, 'Identity provider returned no ID token');
+        }
+
+        return verifyIdToken(tokens.id_token, pending.nonce);
+    };
+
+    return { enabled, issuer: config.issuer, beginLogin, completeLogin };
+};
+
+// Whether the provider says the login used more than one factor
+const usedMultipleFactors = (claims) => Array.isArray(claims.amr)
+    && claims.amr.some(method => ['mfa', 'otp', 'hwk', 'swk', 'sms'].includes(method));
+
+// A free username based on the claims (preferred_username, else the email's
+// local part), with a numeric suffix if taken. `exists(name)` resolves to true
+// when the name is in use.
+const pickUsername = async (claims, exists) => {
+    const base = String(claims.preferred_username || (claims.email || '').split('@')[0] || 'user')
+        .replace(/[^a-zA-Z0-9._-]/g, '')
+        .slice(0, 30) || 'user';
+    let candidate = base;
+    for (let n = 2; await exists(candidate); n++) {
+        candidate = `${base}${n}`;
+    }
+    return candidate;
+};
+
+module.exports = { createOidcClient, usedMultipleFactors, pickUsername };
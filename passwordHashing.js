@@ -0,0 +1,127 @@
+const bcrypt = require('bcrypt');
+
+// ========================
+// PASSWORD HASHING
+// ========================
+// New hashes use PASSWORD_HASH_ALGORITHM ("bcrypt", the default, or
+// "argon2id") with the parameters below. Stored hashes of either kind keep
+// verifying; after a successful login the servers re-hash any password whose
+// hash uses another algorithm or weaker parameters, so raising the cost or
+// switching algorithm upgrades accounts as their owners log in.
+//
+//   BCRYPT_COST          default 12 (hashes from before this module used 10)
+//   ARGON2_MEMORY_KIB    default 19456 (19 MiB)
+//   ARGON2_TIME_COST     default 2
+//   ARGON2_PARALLELISM   default 1
+//
+// argon2id needs the "argon2" package (npm install argon2), which compiles
+// a native module. It is only loaded when an argon2 hash is made or checked,
+// so bcrypt-only setups can leave it out.
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const DEFAULTS = {
+    algorithm: process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt',
+    bcryptCost: numberFromEnv('BCRYPT_COST', 12),
+    argon2: {
+        memoryCost: numberFromEnv('ARGON2_MEMORY_KIB', 19456),
+        timeCost: numberFromEnv('ARGON2_TIME_COST', 2),
+        parallelism: numberFromEnv('ARGON2_PARALLELISM', 1)
+    }
+};
+
+const ALGORITHMS = ['bcrypt', 'argon2id'];
+
+let argon2Module = null;
+const argon2 = () => {
+    if (!argon2Module) {
+        try {
+            argon2Module = require('argon2');
+        } catch (error) {
+            if (error.code !== 'MODULE_NOT_FOUND') throw error;
+            throw new Error('argon2 hashes need the "argon2" package: npm install argon2');
+        }
+    }
+    return argon2Module;
+};
+
+// Algorithm and parameters of a stored hash, e.g.
+// { algorithm: 'bcrypt', params: { cost: 10 } }. Unknown formats give
+// { algorithm: 'unknown', params: {} }.
+const inspectHash = (hash) => {
+    const bcryptMatch = /^\$2[aby]\$(\d{2})\$/.exec(hash || '');
+    if (bcryptMatch) {
+        return { algorithm: 'bcrypt', params: { cost: Number(bcryptMatch[1]) } };
+    }
+
+    const argonMatch = /^\$(argon2(?:id|i|d))\$v=\d+\$m=(\d+),t=(\d+),p=(\d+)\$/.exec(hash || '');
+    if (argonMatch) {
+        return {
+            algorithm: argonMatch[1],
+            params: {
+                memoryCost: Number(argonMatch[2]),
+                timeCost: Number(argonMatch[3]),
+                parallelism: Number(argonMatch[4])
+            }
+        };
+    }
+
+    return { algorithm: 'unknown', params: {} };
+};
+
+const createPasswordHasher = (options = {}) => {
+    const config = {
+        ...DEFAULTS,
+        ...options,
+        argon2: { ...DEFAULTS.argon2, ...(options.argon2 || {}) }
+    };
+    if (!ALGORITHMS.includes(config.algorithm)) {
+        throw new Error(`Unknown password hash algorithm "${config.algorithm}"; use ${ALGORITHMS.join(' or ')}`);
+    }
+    if (config.algorithm === 'argon2id') {
+        // Fail at startup rather than on the first signup
+        argon2();
+    }
+
+    // Hash a password with the configured algorithm
+    const hash = (password) => {
+        if (config.algorithm === 'argon2id') {
+            return argon2().hash(password, { type: argon2().argon2id, ...config.argon2 });
+        }
+        return bcrypt.hash(password, config.bcryptCost);
+    };
+
+    // Check a password against a hash made with any supported algorithm
+    const verify = async (password, storedHash) => {
+        if (typeof password !== 'string' || !storedHash) return false;
+
+        const { algorithm } = inspectHash(storedHash);
+        if (algorithm === 'bcrypt') {
+            return bcrypt.compare(password, storedHash);
+        }
+        if (algorithm.startsWith('argon2')) {
+            return argon2().verify(storedHash, password);
+        }
+        return false;
+    };
+
+    // Parameters new hashes get, in inspectHash's shape
+    const current = () => (config.algorithm === 'argon2id'
+        ? { algorithm: 'argon2id', params: { ...config.argon2 } }
+        : { algorithm: 'bcrypt', params: { cost: config.bcryptCost } });
+
+    // Does a stored hash use another algorithm or weaker parameters than new hashes?
+    const needsRehash = (storedHash) => {
+        const { algorithm, params } = inspectHash(storedHash);
+        const target = current();
+        if (algorithm !== target.algorithm) return true;
+        return Object.keys(target.params).some(name => params[name] < target.params[name]);
+    };
+
+    return { hash, verify, needsRehash, current };
+};
+
+module.exports = { createPasswordHasher, inspectHash };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ========================
+// PASSWORD POLICY
+// ========================
+// Shared by jwtbcrypt.js and rbac.js. A password must:
+//
+// - be MIN_LENGTH..MAX_LENGTH long (bcrypt ignores anything past 72 bytes)
+// - use at least MIN_CLASSES of: lowercase, uppercase, digits, symbols
+// - not contain the username or the local part of the email (or vice versa)
+// - not be one of the user's last HISTORY_SIZE passwords
+// - not appear in the breached password list
+//
+// The breached list is a directory of k-anonymity range files, laid out like
+// the Have I Been Pwned downloads: SHA-1 hashes are split after 5 hex
+// characters, and <dir>/<PREFIX>.txt holds "SUFFIX:COUNT" lines for every
+// breached password whose hash starts with PREFIX. Only one small file is
+// read per check and the password never leaves the machine. Without the
+// directory the check is skipped.
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const DEFAULTS = {
+    MIN_LENGTH: numberFromEnv('PASSWORD_MIN_LENGTH', 10),
+    MAX_LENGTH: numberFromEnv('PASSWORD_MAX_LENGTH', 72),
+    MIN_CLASSES: numberFromEnv('PASSWORD_MIN_CLASSES', 3),
+    HISTORY_SIZE: numberFromEnv('PASSWORD_HISTORY_SIZE', 5),
+    BREACHED_DIR: process.env.BREACHED_PASSWORDS_DIR || 'breached-passwords'
+};
+
+const CHARACTER_CLASSES = [
+    { name: 'lowercase letters', pattern: /[a-z]/ },
+    { name: 'uppercase letters', pattern: /[A-Z]/ },
+    { name: 'digits', pattern: /[0-9]/ },
+    { name: 'symbols', pattern: /[^a-zA-Z0-9]/ }
+];
+
+// Shortest username/email part worth comparing; "al" in "Royal1!" is no leak
+const MIN_SIMILARITY_LENGTH = 3;
+
+const createPasswordPolicy = (options = {}) => {
+    const config = { ...DEFAULTS, ...options };
+
+    if (config.BREACHED_DIR && !fs.existsSync(config.BREACHED_DIR)) {
+        console.warn(`No breached password list at ${path.resolve(config.BREACHED_DIR)}; skipping that check`);
+    }
+
+    // Is the password in the breached list?
+    const isBreached = async (password) => {
+        if (!config.BREACHED_DIR) return false;
+
+        const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+        let contents;
+        try {
+            contents = await fs.promises.readFile(path.join(config.BREACHED_DIR, `${hash.slice(0, 5)}.txt`), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        const suffix = hash.slice(5);
+        return contents.split('\n').some(line => line.split(':')[0].trim().toUpperCase() === suffix);
+    };
+
+    // Does the password contain the username or email name (or the other way round)?
+    const isSimilarToAccount = (password, { username, email }) => {
+        const lower = password.toLowerCase();
+        const parts = [username, email && String(email).split('@')[0]]
+            .filter(part => typeof part === 'string' && part.length >= MIN_SIMILARITY_LENGTH)
+            .map(part => part.toLowerCase());
+        return parts.some(part => lower.includes(part) || part.includes(lower));
+    };
+
+    // Check a password. `previousHashes` are the user's current and earlier
+    // password hashes, newest first, and `compare(password, hash)` checks one
+    // of them. Resolves to a list of { code, message } problems, empty if the
+    // password is acceptable.
+    const validate = async (password, { username, email, previousHashes = [], compare } = {}) => {
+        if (typeof password !== 'string' || password.length === 0) {
+            return [{ code: 'PASSWORD_REQUIRED', message: 'Password is required' }];
+        }
+
+        const errors = [];
+
+        if (password.length < config.MIN_LENGTH) {
+            errors.push({ code: 'TOO_SHORT', message: `Password must be at least ${config.MIN_LENGTH} characters` });
+        }
+        if (Buffer.byteLength(password) > config.MAX_LENGTH) {
+            errors.push({ code: 'TOO_LONG', message: `Password must be at most ${config.MAX_LENGTH} bytes` });
+        }
+
+        const missing = CHARACTER_CLASSES.filter(cls => !cls.pattern.test(password));
+        if (CHARACTER_CLASSES.length - missing.length < config.MIN_CLASSES) {
+            errors.push({
+                code: 'MISSING_CHARACTER_CLASSES',
+                message: `Password must use at least ${config.MIN_CLASSES} of: ${CHARACTER_CLASSES.map(cls => cls.name).join(', ')}`,
+                missing: missing.map(cls => cls.name)
+            });
+        }
+
+        if (isSimilarToAccount(password, { username, email })) {
+            errors.push({ code: 'SIMILAR_TO_ACCOUNT', message: 'Password must not contain your username or email' });
+        }
+
+        if (compare && config.HISTORY_SIZE > 0) {
+            for (const hash of previousHashes.slice(0, config.HISTORY_SIZE)) {
+                if (hash && await compare(password, hash)) {
+                    errors.push({
+                        code: 'REUSED',
+                        message: `Password must differ from your last ${config.HISTORY_SIZE} passwords`
+                    });
+                    break;
+                }
+            }
+        }
+
+        if (await isBreached(password)) {
+            errors.push({
+                code: 'BREACHED',
+                message: 'This password has appeared in a data breach; choose a different one'
+            });
+        }
+
+        return errors;
+    };
+
+    // Password history after replacing `currentHash`: the hashes to keep so
+    // the next change can be checked against the last HISTORY_SIZE passwords
+    const nextHistory = (currentHash, history = []) => [currentHash, ...history]
+        .filter(Boolean)
+        .slice(0, Math.max(config.HISTORY_SIZE - 1, 0));
+
+    // Requirements for display in a signup form
+    const describe = () => ({
+        minLength: config.MIN_LENGTH,
+        maxLength: config.MAX_LENGTH,
+        minCharacterClasses: config.MIN_CLASSES,
+        characterClasses: CHARACTER_CLASSES.map(cls => cls.name),
+        historySize: config.HISTORY_SIZE,
+        breachedCheck: Boolean(config.BREACHED_DIR) && fs.existsSync(config.BREACHED_DIR)
+    });
+
+    return { validate, nextHistory, describe, isBreached };
+};
+
+module.exports = { createPasswordPolicy };
@@ -0,0 +1,155 @@
+const { covers } = require('./roles');
+
+// ========================
+// ATTRIBUTE-BASED POLICIES
+// ========================
+// Role permissions answer "may this role do X at all". Policies add
+// conditions on who is acting, on what, and how, such as "users may manage
+// their own sessions" or "moderators may deactivate only non-admins".
+//
+// A policy is a plain object:
+//
+//   {
+//       name: 'moderators-deactivate-non-admins',
+//       description: 'Moderators may deactivate users who are not admins',
+//       actions: ['users:update-status'],
+//       effect: 'allow',                       // or 'deny'
+//       when: ({ user, resource, request, action }) => ...
+//   }
+//
+// `when` gets the evaluation context and returns true when the policy
+// applies. It must be synchronous and side-effect free so a policy can be
+// checked with a hand-built context and nothing else:
+//
+//   const engine = createPolicyEngine({ policies });
+//   engine.evaluate('users:delete', { user, resource, request }).allowed
+//
+// The context holds `user` (the token claims plus `permissions`, a Set of
+// the role's effective permissions, and `lineage`, the role and the roles
+// it inherits from), `resource` (the target the route loaded, or null),
+// `request` ({ method, ip, params, query, body, time }) and `action`.
+//
+// An action is allowed when at least one allow policy applies and no deny
+// policy does. With no allow policy applying, the default decides:
+//
+//   "deny"        refuse (the default)
+//   "permission"  allow if the role holds the permission named like the
+//                 action, i.e. behave like requirePermission
+//
+// A condition that throws counts as a deny.
+
+const DEFAULT_EFFECTS = ['deny', 'permission'];
+
+// Condition helpers for building `when` functions
+
+// Every condition applies
+const all = (...conditions) => context => conditions.every(condition => condition(context));
+
+// At least one condition applies
+const any = (...conditions) => context => conditions.some(condition => condition(context));
+
+// The condition does not apply
+const not = condition => context => !condition(context);
+
+// The acting user's role grants the permission
+const hasPermission = permission => ({ user }) => covers(user.permissions, [permission]);
+
+// The acting user's role grants the permission named like the action
+const hasActionPermission = ({ user, action }) => covers(user.permissions, [action]);
+
+// The target is the acting user's own account (or belongs to it, via `owner`)
+const isOwnRecord = ({ user, resource }) => Boolean(resource)
+    && String(resource.owner || resource.id) === String(user.userId);
+
+// The acting user holds every permission the target user's role has, so
+// nobody can act on an account more privileged than their own
+const outranksTarget = ({ user, resource }) => Boolean(resource) && covers(user.permissions, resource.permissions);
+
+// The target user's role is, or inherits from, `role`
+const targetHasRole = role => ({ resource }) => Boolean(resource) && resource.lineage.includes(role);
+
+// The acting user's role is, or inherits from, `role`
+const actorHasRole = role => ({ user }) => user.lineage.includes(role);
+
+const checkPolicy = (policy) => {
+    if (typeof policy.name !== 'string' || !policy.name) {
+        throw new Error('Every policy needs a name');
+    }
+    if (!Array.isArray(policy.actions) || policy.actions.length === 0) {
+        throw new Error(`Policy ${policy.name} must list the actions it covers`);
+    }
+    if (!['allow', 'deny'].includes(policy.effect)) {
+        throw new Error(`Policy ${policy.name} has effect "${policy.effect}"; use allow or deny`);
+    }
+    if (typeof policy.when !== 'function') {
+        throw new Error(`Policy ${policy.name} needs a when(context) function`);
+    }
+};
+
+// Build an engine for `policies`. `defaultEffect` applies when no allow
+// policy does; see above.
+const createPolicyEngine = ({ policies = [], defaultEffect = process.env.POLICY_DEFAULT_EFFECT || 'deny' } = {}) => {
+    if (!DEFAULT_EFFECTS.includes(defaultEffect)) {
+        throw new Error(`Unknown default policy effect "${defaultEffect}"; use ${DEFAULT_EFFECTS.join(' or ')}`);
+    }
+    policies.forEach(checkPolicy);
+    const names = policies.map(policy => policy.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+        throw new Error(`Two policies are named ${duplicate}`);
+    }
+
+    // Policies covering an action
+    const forAction = action => policies.filter(policy => policy.actions.includes(action));
+
+    // Decide whether the context's user may perform `action`. Returns
+    // { allowed, action, policy, reason } where policy names the policy that
+    // decided, or is null when the default did.
+    const evaluate = (action, context) => {
+        const decide = (allowed, policy, reason) => ({ allowed, action, policy, reason });
+        const applicable = forAction(action);
+        const subject = { ...context, action };
+
+        let allowedBy = null;
+        for (const policy of applicable) {
+            let applies;
+            try {
+                applies = Boolean(policy.when(subject));
+            } catch (error) {
+                return decide(false, policy.name, `Policy ${policy.name} failed: ${error.message}`);
+            }
+
+            if (applies && policy.effect === 'deny') {
+                return decide(false, policy.name, policy.description || `Denied by policy ${policy.name}`);
+            }
+            if (applies && !allowedBy) {
+                allowedBy = policy;
+            }
+        }
+
+        if (allowedBy) {
+            return decide(true, allowedBy.name, allowedBy.description || `Allowed by policy ${allowedBy.name}`);
+        }
+        if (defaultEffect === 'permission' && covers(context.user.permissions, [action])) {
+            return decide(true, null, `Role grants ${action} and no policy restricts it`);
+        }
+        return decide(false, null, applicable.length
+            ? `No policy allows ${action} here`
+            : `No policy covers ${action}`);
+    };
+
+    return { evaluate, forAction, defaultEffect };
+};
+
+module.exports = {
+    createPolicyEngine,
+    all,
+    any,
+    not,
+    hasPermission,
+    hasActionPermission,
+    isOwnRecord,
+    outranksTarget,
+    targetHasRole,
+    actorHasRole
+};
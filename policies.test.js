@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPolicyEngine, outranksTarget } = require('./policies');
+const rbacPolicies = require('./rbacPolicies');
+
+// ========================
+// POLICY ENGINE TESTS
+// ========================
+// Run with: node --test policies.test.js
+// Contexts are built by hand; nothing here touches MongoDB.
+
+const MODERATOR = ['moderator:dashboard', 'users:read-active', 'users:deactivate'];
+
+const actor = (role, permissions, lineage = [role], userId = 'actor-id') => ({
+    userId,
+    username: role,
+    role,
+    permissions: new Set(permissions),
+    lineage
+});
+
+const target = (role, permissions, lineage = [role], id = 'target-id') => ({
+    id,
+    username: `some-${role}`,
+    role,
+    permissions: new Set(permissions),
+    lineage
+});
+
+const context = (user, resource = null, body = {}) => ({
+    user,
+    resource,
+    request: { method: 'PUT', ip: '127.0.0.1', params: {}, query: {}, body, time: new Date() }
+});
+
+const admin = () => actor('admin', ['*'], ['admin', 'moderator', 'user']);
+const moderator = () => actor('moderator', MODERATOR, ['moderator', 'user']);
+const user = () => actor('user', [], ['user']);
+
+test('evaluate', async (t) => {
+    const allowWrites = { name: 'allow-writes', actions: ['notes:write'], effect: 'allow', when: () => true };
+    const denyWrites = { name: 'deny-writes', actions: ['notes:write'], effect: 'deny', when: () => true };
+
+    await t.test('allows when an allow policy applies and names it', () => {
+        const engine = createPolicyEngine({ policies: [allowWrites] });
+        const decision = engine.evaluate('notes:write', context(user()));
+        assert.deepStrictEqual(
+            { allowed: decision.allowed, action: decision.action, policy: decision.policy },
+            { allowed: true, action: 'notes:write', policy: 'allow-writes' }
+        );
+    });
+
+    await t.test('a deny policy wins over an allow policy listed before it', () => {
+        const engine = createPolicyEngine({ policies: [allowWrites, denyWrites] });
+        const decision = engine.evaluate('notes:write', context(user()));
+        assert.strictEqual(decision.allowed, false);
+        assert.strictEqual(decision.policy, 'deny-writes');
+    });
+
+    await t.test('a condition that throws counts as a deny', () => {
+        const broken = { name: 'broken', actions: ['notes:write'], effect: 'allow', when: ({ resource }) => resource.owner };
+        const engine = createPolicyEngine({ policies: [allowWrites, broken] });
+        const decision = engine.evaluate('notes:write', context(user()));
+        assert.strictEqual(decision.allowed, false);
+        assert.strictEqual(decision.policy, 'broken');
+        assert.match(decision.reason, /Policy broken failed/);
+    });
+
+    await t.test('conditions see the action being evaluated', () => {
+        const seen = [];
+        const spy = { name: 'spy', actions: ['notes:write'], effect: 'allow', when: ({ action }) => seen.push(action) };
+        createPolicyEngine({ policies: [spy] }).evaluate('notes:write', context(user()));
+        assert.deepStrictEqual(seen, ['notes:write']);
+    });
+});
+
+test('default effect', async (t) => {
+    const ownNotes = {
+        name: 'own-notes',
+        actions: ['notes:write'],
+        effect: 'allow',
+        when: ({ user: who, resource }) => resource.owner === who.userId
+    };
+
+    await t.test('denies actions no policy covers', () => {
+        const engine = createPolicyEngine({ policies: [ownNotes], defaultEffect: 'deny' });
+        const decision = engine.evaluate('notes:delete', context(admin()));
+        assert.strictEqual(decision.allowed, false);
+        assert.strictEqual(decision.policy, null);
+        assert.strictEqual(decision.reason, 'No policy covers notes:delete');
+    });
+
+    await t.test('denies when the covering policies do not apply, whatever the role holds', () => {
+        const engine = createPolicyEngine({ policies: [ownNotes], defaultEffect: 'deny' });
+        const decision = engine.evaluate('notes:write', context(admin(), { owner: 'someone-else' }));
+        assert.strictEqual(decision.allowed, false);
+        assert.strictEqual(decision.reason, 'No policy allows notes:write here');
+    });
+
+    await t.test('"permission" falls back to the role\'s permission', () => {
+        const engine = createPolicyEngine({ policies: [ownNotes], defaultEffect: 'permission' });
+        const notOwner = context(actor('editor', ['notes:write']), { owner: 'someone-else' });
+        assert.strictEqual(engine.evaluate('notes:write', notOwner).allowed, true);
+        assert.strictEqual(engine.evaluate('notes:write', context(user(), { owner: 'someone-else' })).allowed, false);
+    });
+
+    await t.test('rejects unknown default effects and duplicate policy names', () => {
+        assert.throws(() => createPolicyEngine({ defaultEffect: 'allow' }), /Unknown default policy effect/);
+        assert.throws(() => createPolicyEngine({ policies: [ownNotes, ownNotes] }), /Two policies are named own-notes/);
+    });
+});
+
+test('outranksTarget', async (t) => {
+    await t.test('holds when the actor has every permission the target has', () => {
+        assert.strictEqual(outranksTarget(context(moderator(), target('user', []))), true);
+        assert.strictEqual(outranksTarget(context(moderator(), target('moderator', MODERATOR))), true);
+    });
+
+    await t.test('fails when the target has a permission the actor lacks', () => {
+        assert.strictEqual(outranksTarget(context(moderator(), target('auditor', ['audit:read']))), false);
+        assert.strictEqual(outranksTarget(context(moderator(), target('admin', ['*']))), false);
+    });
+
+    await t.test('"*" outranks everyone, and there is nothing to outrank without a target', () => {
+        assert.strictEqual(outranksTarget(context(admin(), target('admin', ['*']))), true);
+        assert.strictEqual(outranksTarget(context(admin(), null)), false);
+    });
+});
+
+test('rbac policies', async (t) => {
+    const engine = createPolicyEngine({ policies: rbacPolicies, defaultEffect: 'deny' });
+    const regularUser = () => target('user', [], ['user']);
+    const anAdmin = () => target('admin', ['*'], ['admin', 'moderator', 'user']);
+
+    await t.test('moderators may deactivate non-admins', () => {
+        const decision = engine.evaluate('users:update-status', context(moderator(), regularUser(), { isActive: false }));
+        assert.strictEqual(decision.allowed, true);
+        assert.strictEqual(decision.policy, 'moderators-deactivate-non-admins');
+    });
+
+    await t.test('moderators may not deactivate admins', () => {
+        const decision = engine.evaluate('users:update-status', context(moderator(), anAdmin(), { isActive: false }));
+        assert.strictEqual(decision.allowed, false);
+    });
+
+    await t.test('moderators may not reactivate accounts', () => {
+        const decision = engine.evaluate('users:update-status', context(moderator(), regularUser(), { isActive: true }));
+        assert.strictEqual(decision.allowed, false);
+    });
+
+    await t.test('only a real false deactivates', () => {
+        const decision = engine.evaluate('users:update-status', context(moderator(), regularUser(), { isActive: 'false' }));
+        assert.strictEqual(decision.allowed, false);
+    });
+
+    await t.test('roles inheriting from moderator get the rule too', () => {
+        const lead = actor('lead-moderator', MODERATOR, ['lead-moderator', 'moderator', 'user']);
+        assert.strictEqual(engine.evaluate('users:update-status', context(lead, regularUser(), { isActive: false })).allowed, true);
+    });
+
+    await t.test('a self-signed-up user may not deactivate others', () => {
+        const decision = engine.evaluate('users:update-status', context(user(), regularUser(), { isActive: false }));
+        assert.strictEqual(decision.allowed, false);
+    });
+
+    await t.test('the moderator role name alone is not enough without users:deactivate', () => {
+        const selfAssigned = actor('moderator', ['moderator:dashboard', 'users:read-active'], ['moderator', 'user']);
+        assert.strictEqual(engine.evaluate('users:update-status', context(selfAssigned, regularUser(), { isActive: false })).allowed, false);
+    });
+
+    await t.test('admins manage accounts through their permissions', () => {
+        const decision = engine.evaluate('users:update-status', context(admin(), anAdmin(), { isActive: true }));
+        assert.strictEqual(decision.allowed, true);
+        assert.strictEqual(decision.policy, 'manage-less-privileged-users');
+    });
+
+    await t.test('holding the permission is not enough against a more privileged account', () => {
+        const deleter = actor('deleter', ['users:delete']);
+        assert.strictEqual(engine.evaluate('users:delete', context(deleter, regularUser())).allowed, true);
+        assert.strictEqual(engine.evaluate('users:delete', context(deleter, anAdmin())).allowed, false);
+    });
+
+    await t.test('users may see and end their own sessions only', () => {
+        const self = target('user', [], ['user'], 'actor-id');
+        assert.strictEqual(engine.evaluate('sessions:revoke', context(user(), self)).allowed, true);
+        assert.strictEqual(engine.evaluate('sessions:read', context(user(), self)).allowed, true);
+        assert.strictEqual(engine.evaluate('sessions:revoke', context(user(), regularUser())).allowed, false);
+    });
+});
@@ -1,7 +1,19 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const totp = require('./totp');
+const { createKeyRing } = require('./jwtKeys');
+const { createSessionStore, describeSession } = require('./sessions');
+const { createPasswordPolicy } = require('./passwordPolicy');
+const { createPasswordHasher, inspectHash } = require('./passwordHashing');
+const { createOidcClient, usedMultipleFactors, pickUsername } = require('./oidc');
+const { createLoginThrottle } = require('./loginThrottle');
+const { createApiKeyStore, extractApiKey, requiredScope, hasScope } = require('./apiKeys');
+const { createRoleStore, covers } = require('./roles');
+const { createPolicyEngine } = require('./policies');
+const rbacPolicies = require('./rbacPolicies');
+const { createAuditLog, toCsv } = require('./auditLog');
+const { createMailer } = require('./mailer');
 const app = express();
 const PORT = 3000;
 
@@ -34,28 +46,75 @@ const userSchema = new mongoose.Schema({
         required: true,
         minlength: 6
     },
+    // Name of a role in the roles collection (see roles.js)
     role: {
         type: String,
-        enum: ['user', 'admin', 'moderator'],
         default: 'user'
     },
     isActive: {
         type: Boolean,
         default: true
     },
+    // Hashes of earlier passwords, newest first, checked by the password policy
+    passwordHistory: {
+        type: [String],
+        select: false
+    },
+    // TOTP two-factor authentication. The secret and recovery code hashes are
+    // never selected unless asked for explicitly.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: Date,
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret from /profile/2fa/setup, waiting for /profile/2fa/confirm
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // Last accepted time step, so a code can't be used twice
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        }
+    },
+    // Accounts at external identity providers (OIDC) linked to this user
+    identities: [{
+        _id: false,
+        issuer: String,
+        subject: String,
+        linkedAt: Date
+    }],
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// An identity can only be linked to one user
+userSchema.index(
+    { 'identities.issuer': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Password hashing algorithm and cost (see passwordHashing.js)
+const passwordHasher = createPasswordHasher();
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
     
     try {
-        const salt = await bcrypt.genSalt(10);
-        this.password = await bcrypt.hash(this.password, salt);
+        this.password = await passwordHasher.hash(this.password);
         next();
     } catch (error) {
         next(error);
@@ -64,21 +123,591 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
-    return await bcrypt.compare(candidatePassword, this.password);
+    return await passwordHasher.verify(candidatePassword, this.password);
+};
+
+// Re-hash with the current algorithm and cost if the stored hash is older.
+// Call after comparePassword succeeded with `password`.
+userSchema.methods.upgradePasswordHash = async function(password) {
+    if (!passwordHasher.needsRehash(this.password)) return false;
+    
+    this.password = await passwordHasher.hash(password);
+    await this.constructor.updateOne({ _id: this._id }, { password: this.password });
+    return true;
 };
 
 // User Model
 const User = mongoose.model('User', userSchema);
 
-// JWT Secret
+// Settings Schema - system-wide settings changed by admins at runtime
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    value: mongoose.Schema.Types.Mixed,
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Setting Model
+const Setting = mongoose.model('Setting', settingSchema);
+
+// Invitation Schema - an admin invites an email address into a role. The
+// token travels in the invitation email; only its hash is stored.
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+        match: /.+\@.+\..+/,
+        index: true
+    },
+    role: {
+        type: String,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Invitation Model
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+// JWT signing keys (see jwtKeys.js). The secret is only used for HS256 when
+// no key files are configured.
 const JWT_SECRET = 'your-secret-key-change-this-in-production';
+const keyRing = createKeyRing({ issuer: 'bee-rbac', fallbackSecret: JWT_SECRET });
+
+// Access tokens (and the session each login creates, see sessions.js) last a day
+const ACCESS_TOKEN_TTL = '24h';
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const sessions = createSessionStore(mongoose);
+
+// Password rules for signup and password changes (see passwordPolicy.js)
+const passwordPolicy = createPasswordPolicy();
+
+// 400 listing the password policy rules a new password breaks
+const sendWeakPassword = (res, errors) => res.status(400).json({ 
+    success: false, 
+    code: 'WEAK_PASSWORD',
+    message: 'Password does not meet the requirements',
+    errors 
+});
+
+// Failed-login tracking per account and IP (see loginThrottle.js)
+const loginThrottle = createLoginThrottle(mongoose);
+
+// API keys for scripts and service accounts (see apiKeys.js). A key acts
+// with its owner's current role, limited to these scopes.
+const API_KEY_SCOPES = [
+    'profile:read', 'profile:write',
+    'admin:read', 'admin:write',
+    'moderator:read'
+];
+const apiKeys = createApiKeyStore(mongoose, { scopes: API_KEY_SCOPES });
+
+// Refuse a login attempt blocked by the throttle (423 locked, 429 delayed)
+const sendThrottled = (res, block) => {
+    res.set('Retry-After', String(block.retryAfter));
+    res.status(block.status).json({ 
+        success: false, 
+        code: block.reason,
+        message: block.message,
+        retryAfter: block.retryAfter 
+    });
+};
+
+// Count a failed login; announces the lockout if this failure triggered one
+const rejectLogin = async (res, attempt, message) => {
+    const block = await loginThrottle.recordFailure(attempt);
+    if (block && block.status === 423) {
+        return sendThrottled(res, block);
+    }
+    res.status(401).json({ 
+        success: false, 
+        message 
+    });
+};
+
+// ========================
+// ROLES AND PERMISSIONS
+// ========================
+// Routes require permissions (requirePermission below) and roles are
+// managed at runtime through /admin/roles (see roles.js). The built-in roles
+// are created on first start, with admin inheriting moderator and moderator
+// inheriting user. Admins may change user and moderator, while admin always
+// holds every permission. Signup always creates a user; any other role
+// comes from an invitation or an admin.
+
+const BUILT_IN_PERMISSIONS = [
+    { name: 'admin:dashboard', description: 'Open the admin dashboard' },
+    { name: 'moderator:dashboard', description: 'Open the moderator dashboard' },
+    { name: 'users:read', description: 'List all users with statistics' },
+    { name: 'users:read-active', description: 'List active users' },
+    { name: 'users:update-role', description: 'Change a user\'s role' },
+    { name: 'users:update-status', description: 'Activate or deactivate a user' },
+    { name: 'users:deactivate', description: 'Deactivate accounts that are not admins' },
+    { name: 'users:delete', description: 'Delete a user' },
+    { name: 'users:unlock', description: 'Lift a failed-login lockout' },
+    { name: 'users:reset-2fa', description: 'Reset a user\'s two-factor authentication' },
+    { name: 'sessions:read', description: 'List another user\'s sessions' },
+    { name: 'sessions:revoke', description: 'Log a user out of every device' },
+    { name: 'settings:read', description: 'Read system settings' },
+    { name: 'settings:update', description: 'Change system settings' },
+    { name: 'reports:read', description: 'Read system reports' },
+    { name: 'roles:read', description: 'List roles and permissions' },
+    { name: 'roles:manage', description: 'Create, change and delete roles and permissions' },
+    { name: 'audit:read', description: 'Read and export the audit log' },
+    { name: 'invitations:read', description: 'List invitations' },
+    { name: 'invitations:manage', description: 'Invite people into a role and withdraw invitations' }
+];
+
+const BUILT_IN_ROLES = [
+    { name: 'user', description: 'Regular account', permissions: [], inherits: [] },
+    {
+        name: 'moderator',
+        description: 'Moderates content and users',
+        permissions: ['moderator:dashboard', 'users:read-active', 'users:deactivate'],
+        inherits: ['user']
+    },
+    { name: 'admin', description: 'Full access', permissions: ['*'], inherits: ['moderator'] }
+];
+
+const roleStore = createRoleStore(mongoose);
+const rolesSeeded = roleStore.seed({ permissions: BUILT_IN_PERMISSIONS, roles: BUILT_IN_ROLES });
+rolesSeeded.catch(error => console.error('Seeding roles failed:', error.message));
+
+// Could `user` hand out these permissions and parent roles? Nobody may grant
+// more than they hold themselves, inherited permissions included.
+const canGrant = async (user, { permissions = [], inherits = [] }) => {
+    const held = await roleStore.permissionsFor(user.role);
+    const inherited = await Promise.all([].concat(inherits).map(parent => roleStore.permissionsFor(parent)));
+    return covers(held, [].concat(permissions, ...inherited.map(set => [...set])));
+};
+
+// ========================
+// POLICIES
+// ========================
+// Routes acting on another user's account ask the policy engine whether the
+// request may go ahead (enforcePolicy below). The rules are in
+// rbacPolicies.js; POLICY_DEFAULT_EFFECT=permission relaxes the default from
+// deny to the plain permission check.
+
+const policyEngine = createPolicyEngine({ policies: rbacPolicies });
+
+// Effective permissions and role lineage, as policies see users
+const roleAttributes = async (role) => {
+    const [permissions, lineage] = await Promise.all([roleStore.permissionsFor(role), roleStore.lineage(role)]);
+    return { permissions, lineage };
+};
+
+// Context policies are evaluated in (see policies.js). `actor` and `body`
+// default to the logged-in user and the request body; route 33 passes the
+// user and request it is asking about instead.
+const policyContext = async (req, resource, { actor = req.user, body = req.body } = {}) => ({
+    user: { ...actor, ...(await roleAttributes(actor.role)) },
+    resource,
+    request: {
+        method: req.method,
+        ip: req.ip,
+        params: req.params,
+        query: req.query,
+        body: body || {},
+        time: new Date()
+    }
+});
+
+// A user with their role's attributes, as policies see targets, or null
+const loadPolicyUser = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    
+    const user = await User.findById(id).select('-password').lean();
+    return user && { ...user, id: String(user._id), ...(await roleAttributes(user.role)) };
+};
+
+// The user named by :id, with its role's attributes, or null
+const loadTargetUser = req => loadPolicyUser(req.params.id);
+const targetUser = { load: loadTargetUser, notFound: 'User not found' };
+
+// 400 for an :id that can't be a user id, before a route looks it up
+const checkUserId = (req, res, next) => {
+    if (mongoose.Types.ObjectId.isValid(req.params.id)) return next();
+    res.status(400).json({ 
+        success: false, 
+        message: 'Invalid user id' 
+    });
+};
+
+// ========================
+// AUDIT LOG
+// ========================
+// Privileged changes to user accounts, roles and settings are recorded in a
+// hash-chained, append-only log (see auditLog.js), readable through
+// /admin/audit.
+
+const auditLog = createAuditLog(mongoose);
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// The logged-in user as an audit log actor
+const auditActor = req => ({ id: req.user.userId, username: req.user.username, role: req.user.role });
+
+// Record `action` by the logged-in user on a user account. Routes call this
+// before making the change, with the values they are about to write: if the
+// log can't be written the change isn't made, and a change that then fails
+// leaves an entry rather than leaving none.
+const auditUserChange = (req, action, target, before, after) => auditLog.record({
+    action,
+    actor: auditActor(req),
+    target: { kind: 'user', id: String(target._id), label: target.username },
+    before,
+    after,
+    ip: req.ip
+});
+
+// Like auditUserChange, for the role or permission called `name`
+const auditRoleChange = (req, action, kind, name, before, after) => auditLog.record({
+    action,
+    actor: auditActor(req),
+    target: { kind, id: name, label: name },
+    before,
+    after,
+    ip: req.ip
+});
+
+// A role's stored fields as audit log values, or null
+const roleAuditValues = role => role && {
+    description: role.description,
+    permissions: role.permissions,
+    inherits: role.inherits
+};
+
+// ========================
+// INVITATIONS
+// ========================
+// Admins invite an email address into a role; the invitee picks a username
+// and password with POST /invitations/:token/accept. With the openSignup
+// setting off, invitations are the only way to get an account.
+
+const INVITATION_TTL_DAYS = 7;
+const INVITATION_MAX_TTL_DAYS = 30;
+// Base URL of the page the invitation link opens; it POSTs the token back here
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const mailer = createMailer();
+
+const hashInvitationToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Query for invitations that can still be accepted
+const pendingInvitations = () => ({
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+});
+
+// Pending invitation for a token, or null
+const findPendingInvitation = token => Invitation.findOne({
+    ...pendingInvitations(),
+    tokenHash: hashInvitationToken(token)
+});
+
+const invitationStatus = (invitation) => {
+    if (invitation.acceptedAt) return 'accepted';
+    if (invitation.revokedAt) return 'revoked';
+    if (invitation.expiresAt <= new Date()) return 'expired';
+    return 'pending';
+};
+
+// Invitation as shown to admins
+const describeInvitation = invitation => ({
+    id: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    status: invitationStatus(invitation),
+    invitedBy: invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt,
+    acceptedAt: invitation.acceptedAt,
+    acceptedBy: invitation.acceptedBy,
+    revokedAt: invitation.revokedAt
+});
+
+const invitationUrl = token => `${APP_URL}/invitations/${token}`;
+
+const sendInvitationEmail = (invitation, token, inviter) => mailer.send({
+    to: invitation.email,
+    subject: 'You have been invited',
+    text: [
+        'Hi,',
+        '',
+        `${inviter.username} invited you to create an account with the ${invitation.role} role.`,
+        `Open the link below to choose a username and password (valid until ${invitation.expiresAt.toUTCString()}):`,
+        invitationUrl(token),
+        '',
+        `Or send { username, password } to POST /invitations/${token}/accept`,
+        '',
+        'If you weren\'t expecting this, you can ignore this email.'
+    ].join('\n')
+});
+
+// Record that `user`, not yet saved, is taking up `invitation`. Written
+// before the account is created, like the other audit entries.
+const auditInvitationAccept = (invitation, user, ip) => auditLog.record({
+    action: 'invitation.accept',
+    actor: { id: String(user._id), username: user.username, role: user.role },
+    target: { kind: 'invitation', id: String(invitation._id), label: invitation.email },
+    before: null,
+    after: { userId: String(user._id), role: user.role },
+    ip
+});
+
+// Whether anyone may sign up without an invitation (on unless turned off)
+const isOpenSignup = async () => {
+    const setting = await Setting.findOne({ key: 'openSignup' }).lean();
+    return setting ? setting.value !== false : true;
+};
+
+// ========================
+// TWO-FACTOR AUTHENTICATION
+// ========================
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'BEE RBAC';
+// Challenge tokens (password checked, code pending) and enrollment tokens
+// (password checked, role needs 2FA that isn't set up yet) are short-lived
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_ENROLLMENT_TTL = '15m';
+const TWO_FACTOR_SELECT = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// ========================
+// SINGLE SIGN-ON (OIDC)
+// ========================
+// See oidc.js for the provider settings. Roles can follow the provider's
+// groups: OIDC_ROLE_MAP maps group names to roles, e.g.
+//   OIDC_ROLE_MAP='{"it-admins":"admin","support":"moderator"}'
+// and OIDC_GROUPS_CLAIM names the ID token claim holding the groups (default
+// "groups"). With a map configured the provider is authoritative: every SSO
+// login sets the role to the highest mapped one, or "user" if none match.
+// Roles rank in the order the map lists them, highest first.
+
+const oidc = createOidcClient(mongoose);
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+const OIDC_ROLE_MAP = JSON.parse(process.env.OIDC_ROLE_MAP || '{}');
+const ROLE_PRECEDENCE = [...new Set(Object.values(OIDC_ROLE_MAP))];
+
+// Roles live in the database, so the map is checked once the built-in ones
+// are seeded. A map naming an unknown role stops the server rather than
+// failing every SSO login that hits it; route 32 keeps mapped roles from
+// being deleted later.
+rolesSeeded
+    .then(async () => {
+        for (const [group, role] of Object.entries(OIDC_ROLE_MAP)) {
+            if (!(await roleStore.exists(role))) {
+                console.error(`OIDC_ROLE_MAP maps group "${group}" to unknown role "${role}"`);
+                process.exit(1);
+            }
+        }
+    })
+    .catch(error => console.error('Checking OIDC_ROLE_MAP failed:', error.message));
+
+// Role for the groups in the ID token, or null when no map is configured
+const roleFromClaims = (claims) => {
+    if (Object.keys(OIDC_ROLE_MAP).length === 0) return null;
+    
+    const groups = [].concat(claims[OIDC_GROUPS_CLAIM] || []);
+    const roles = groups.map(group => OIDC_ROLE_MAP[group]).filter(Boolean);
+    return ROLE_PRECEDENCE.find(role => roles.includes(role)) || 'user';
+};
+
+// The local user for an OIDC login: the one already linked to the identity,
+// else the account with the same (provider-verified) email, which gets
+// linked, else a new account. Resolves to { user, status } where status is
+// "existing", "linked" or "created".
+// New accounts follow the openSignup setting: with it off, only an address
+// with a pending invitation gets one. The invitation is used up and, unless
+// OIDC_ROLE_MAP decides roles, gives the account its role.
+const findOrCreateOidcUser = async (claims, { ip } = {}) => {
+    const identity = { issuer: oidc.issuer, subject: claims.sub };
+    const role = roleFromClaims(claims);
+    
+    const existing = await User.findOne({ identities: { $elemMatch: identity } });
+    if (existing) {
+        return { user: existing, status: 'existing', role };
+    }
+    
+    if (!claims.email) {
+        throw Object.assign(new Error('The identity provider did not share an email address'), { status: 400 });
+    }
+    
+    // Only an address the provider verified may take over a local account
+    if (claims.email_verified === true) {
+        const linked = await User.findOneAndUpdate(
+            { email: String(claims.email).toLowerCase() },
+            { $push: { identities: { ...identity, linkedAt: new Date() } } },
+            { new: true }
+        );
+        if (linked) {
+            return { user: linked, status: 'linked', role };
+        }
+    } else if (await User.exists({ email: String(claims.email).toLowerCase() })) {
+        throw Object.assign(
+            new Error('An account with this email already exists; verify the email with your identity provider to link it'),
+            { status: 409 }
+        );
+    }
+    
+    // Like linking, taking up an invitation needs a provider-verified address
+    const invitation = claims.email_verified === true
+        ? await Invitation.findOne({ ...pendingInvitations(), email: String(claims.email).toLowerCase() })
+        : null;
+    if (!invitation && !(await isOpenSignup())) {
+        throw Object.assign(new Error('Signup is by invitation only'), { status: 403 });
+    }
+    if (invitation && !role && !(await roleStore.exists(invitation.role))) {
+        throw Object.assign(
+            new Error(`The ${invitation.role} role no longer exists; ask for a new invitation`),
+            { status: 409 }
+        );
+    }
+    
+    // The random password can't be guessed (it is hashed by the pre-save hook)
+    const user = new User({
+        username: await pickUsername(claims, name => User.exists({ username: name })),
+        email: claims.email,
+        password: crypto.randomBytes(32).toString('base64url'),
+        role: role || (invitation ? invitation.role : 'user'),
+        identities: [{ ...identity, linkedAt: new Date() }]
+    });
+    if (invitation) {
+        await auditInvitationAccept(invitation, user, ip);
+    }
+    await user.save();
+    if (invitation) {
+        await Invitation.updateOne(
+            { _id: invitation._id, acceptedAt: null },
+            { acceptedAt: new Date(), acceptedBy: user._id }
+        );
+    }
+    return { user, status: 'created', role };
+};
+
+// Roles whose members must sign in with 2FA (set via PUT /admin/settings/2fa)
+const getTwoFactorRequiredRoles = async () => {
+    const setting = await Setting.findOne({ key: 'twoFactorRequiredRoles' }).lean();
+    return setting ? setting.value : [];
+};
+
+// Start a session for a login from `req` and sign its access token. `mfa`
+// records that the login passed a second factor.
+const signAccessToken = async (user, req, { mfa = false } = {}) => {
+    const session = await sessions.start({
+        user: user._id,
+        req,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+    return keyRing.sign(
+        {
+            userId: user._id,
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            mfa,
+            sid: session._id
+        },
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Tokens with a purpose claim only work on their own endpoints, never as access tokens
+const signPurposeToken = (user, purpose, expiresIn) => keyRing.sign(
+    { userId: user._id, purpose },
+    { expiresIn }
+);
+
+// Check a TOTP code or a recovery code for a user loaded with TWO_FACTOR_SELECT.
+// Both are consumed atomically so concurrent requests can't use one twice.
+// Returns { method, remainingRecoveryCodes } or null.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = totp.verifyTotp(user.twoFactor.secret, code, {
+            lastUsedStep: user.twoFactor.lastUsedStep
+        });
+        if (step === null) return null;
+
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { 'twoFactor.lastUsedStep': null },
+                    { 'twoFactor.lastUsedStep': { $lt: step } }
+                ]
+            },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        const matched = result.matchedCount !== undefined ? result.matchedCount : result.n;
+        return matched ? { method: 'totp' } : null;
+    }
+
+    if (recoveryCode) {
+        const hash = totp.hashRecoveryCode(recoveryCode);
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } },
+            { new: true }
+        ).select('+twoFactor.recoveryCodes');
+        return updated
+            ? { method: 'recovery-code', remainingRecoveryCodes: updated.twoFactor.recoveryCodes.length }
+            : null;
+    }
+
+    return null;
+};
 
 // ========================
 // MIDDLEWARE FUNCTIONS
 // ========================
 
 // 1. Authentication Middleware
+// Accepts a JWT or an API key (X-API-Key header or bearer bee_...)
 const authenticate = (req, res, next) => {
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+        return authenticateApiKey(apiKey, req, res, next);
+    }
+    
     const token = req.headers.authorization?.split(' ')[1];
     
     if (!token) {
@@ -88,36 +717,106 @@ const authenticate = (req, res, next) => {
         });
     }
     
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = keyRing.verify(token);
+        // Challenge and enrollment tokens are not access tokens
+        if (decoded.purpose) {
+            throw new Error('Not an access token');
+        }
     } catch (error) {
         return res.status(403).json({ 
             success: false, 
             message: 'Invalid or expired token.' 
         });
     }
+    
+    continueWithSession(decoded, req, res, next);
 };
 
-// 2. Role-Based Authorization Middleware
-const authorize = (...roles) => {
-    return (req, res, next) => {
-        if (!req.user) {
+// Let a verified access token through only while its session is active
+const continueWithSession = (decoded, req, res, next) => {
+    sessions.validate(decoded.sid, req)
+        .then(session => {
+            if (!session) {
+                return res.status(403).json({ 
+                    success: false, 
+                    message: 'Session expired or revoked.' 
+                });
+            }
+            req.user = decoded;
+            next();
+        })
+        .catch(next);
+};
+
+// API key variant of authenticate; the key's owner must still be active
+const authenticateApiKey = async (key, req, res, next) => {
+    try {
+        const apiKey = await apiKeys.verify(key, req.ip);
+        if (!apiKey) {
             return res.status(401).json({ 
                 success: false, 
-                message: 'User not authenticated.' 
+                message: 'Invalid or expired API key.' 
+            });
+        }
+        
+        const scope = requiredScope(req);
+        if (!hasScope(apiKey, scope)) {
+            return res.status(403).json({ 
+                success: false, 
+                message: `API key is missing the ${scope} scope.` 
             });
         }
         
-        if (!roles.includes(req.user.role)) {
+        const user = await User.findById(apiKey.user).select('username email role isActive').lean();
+        if (!user || !user.isActive) {
             return res.status(403).json({ 
                 success: false, 
-                message: `Access denied. Required role: ${roles.join(' or ')}` 
+                message: 'Invalid or expired API key.' 
             });
         }
         
+        req.user = {
+            userId: String(user._id),
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            mfa: apiKey.mfa,
+            apiKey: { id: apiKey._id, scopes: apiKey.scopes }
+        };
         next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// 2. Role-Based Authorization Middleware
+// A role also passes for every role it inherits from, so authorize('moderator')
+// lets admins in too.
+const authorize = (...roles) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'User not authenticated.' 
+            });
+        }
+        
+        try {
+            const lineage = await roleStore.lineage(req.user.role);
+            if (!roles.some(role => lineage.includes(role))) {
+                return res.status(403).json({ 
+                    success: false, 
+                    message: `Access denied. Required role: ${roles.join(' or ')}` 
+                });
+            }
+            
+            if (!(await checkTwoFactor(req, res))) return;
+            next();
+        } catch (error) {
+            next(error);
+        }
     };
 };
 
@@ -137,7 +836,128 @@ const adminOnly = (req, res, next) => {
         });
     }
     
-    next();
+    checkTwoFactor(req, res)
+        .then(passed => passed && next())
+        .catch(next);
+};
+
+// 4. Two-Factor Requirement Check
+// Role-gated routes refuse tokens from a password-only login when the role
+// must use 2FA. Sends the 403 itself and resolves to false in that case.
+const checkTwoFactor = async (req, res) => {
+    if (req.user.mfa) return true;
+
+    const requiredRoles = await getTwoFactorRequiredRoles();
+    if (!requiredRoles.includes(req.user.role)) return true;
+
+    res.status(403).json({ 
+        success: false, 
+        code: 'TWO_FACTOR_REQUIRED',
+        message: `Two-factor authentication is required for the ${req.user.role} role. Log in again with 2FA.` 
+    });
+    return false;
+};
+
+// 5. Two-Factor Enrollment Authentication
+// Like authenticate, but also accepts the enrollment token /login hands out
+// when the user's role requires 2FA that isn't set up yet.
+const authenticateEnrollment = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    
+    if (!token) {
+        return res.status(401).json({ 
+            success: false, 
+            message: 'Access denied. No token provided.' 
+        });
+    }
+    
+    let decoded;
+    try {
+        decoded = keyRing.verify(token);
+        if (decoded.purpose && decoded.purpose !== '2fa-enroll') {
+            throw new Error('Not an access or enrollment token');
+        }
+    } catch (error) {
+        return res.status(403).json({ 
+            success: false, 
+            message: 'Invalid or expired token.' 
+        });
+    }
+    
+    // Enrollment tokens come before any session exists
+    if (decoded.purpose) {
+        req.user = decoded;
+        return next();
+    }
+    continueWithSession(decoded, req, res, next);
+};
+
+// 6. Permission-Based Authorization Middleware
+// Passes when the user's role grants every one of `permissions` (see roles.js)
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'User not authenticated.' 
+            });
+        }
+        
+        try {
+            if (!(await roleStore.can(req.user.role, ...permissions))) {
+                return res.status(403).json({ 
+                    success: false, 
+                    message: `Access denied. Required permission: ${permissions.join(' and ')}` 
+                });
+            }
+            
+            if (!(await checkTwoFactor(req, res))) return;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+// 7. Policy Middleware
+// Loads the route's target with `load(req)` (404 with `notFound` when it
+// resolves to null) and asks the policy engine whether req.user may perform
+// `action` on it. The loaded target is left in req.resource.
+const enforcePolicy = (action, { load, notFound = 'Not found' } = {}) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'User not authenticated.' 
+            });
+        }
+        
+        try {
+            const resource = load ? await load(req) : null;
+            if (load && !resource) {
+                return res.status(404).json({ 
+                    success: false, 
+                    message: notFound 
+                });
+            }
+            
+            const decision = policyEngine.evaluate(action, await policyContext(req, resource));
+            if (!decision.allowed) {
+                return res.status(403).json({ 
+                    success: false, 
+                    code: 'POLICY_DENIED',
+                    message: `Access denied. ${decision.reason}`,
+                    policy: decision.policy 
+                });
+            }
+            
+            if (!(await checkTwoFactor(req, res))) return;
+            req.resource = resource;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
 };
 
 // ========================
@@ -151,233 +971,1685 @@ app.get('/', (req, res) => {
     res.json({ 
         message: 'RBAC API System', 
         endpoints: {
-            public: ['POST /signup', 'POST /login'],
-            user: ['GET /profile', 'PUT /profile'],
-            admin: ['GET /admin', 'GET /admin/users', 'PUT /admin/users/:id/role']
+            public: ['POST /signup', 'POST /invitations/:token/accept', 'POST /login', 'POST /login/2fa', 'GET /.well-known/jwks.json'],
+            user: ['GET /profile', 'PUT /profile', 'POST /profile/2fa/setup', 'POST /profile/2fa/confirm'],
+            admin: ['GET /admin', 'GET /admin/users', 'PUT /admin/users/:id/role', 'PUT /admin/settings/2fa', 'GET /admin/roles', 'POST /admin/roles', 'GET /admin/audit', 'POST /admin/invitations']
         }
     });
 });
 
-// Signup (Public)
-app.post('/signup', async (req, res) => {
+// JWKS (Public) - public keys for verifying tokens issued by this server
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(keyRing.jwks());
+});
+
+// SSO login (Public) - redirect to the identity provider
+app.get('/auth/oidc/login', async (req, res) => {
     try {
-        const { username, email, password, role = 'user' } = req.body;
-        
-        // Prevent self-assigning admin role
-        const userRole = role === 'admin' ? 'user' : role;
+        res.redirect(await oidc.beginLogin());
+    } catch (error) {
+        res.status(error.status || 500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// SSO callback (Public) - the provider sends the browser back here with a code
+// The user's role follows OIDC_ROLE_MAP when configured. Local 2FA is still
+// asked for unless the provider reports that the login used several factors.
+app.get('/auth/oidc/callback', async (req, res) => {
+    try {
+        const claims = await oidc.completeLogin(req.query);
+        const { user, status, role } = await findOrCreateOidcUser(claims, { ip: req.ip });
+        
+        if (!user.isActive) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Account is deactivated' 
+            });
+        }
+        
+        // Other logins' tokens still carry the old role
+        if (role && user.role !== role) {
+            user.role = role;
+            await user.save();
+            await sessions.revokeAll(user._id, 'role-change');
+        }
+        
+        const mfa = usedMultipleFactors(claims);
+        if (!mfa && user.twoFactor && user.twoFactor.enabled) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: signPurposeToken(user, '2fa-challenge', TWO_FACTOR_CHALLENGE_TTL),
+                expiresIn: TWO_FACTOR_CHALLENGE_TTL
+            });
+        }
+        
+        const requiredRoles = await getTwoFactorRequiredRoles();
+        if (!mfa && requiredRoles.includes(user.role)) {
+            return res.status(403).json({
+                success: false,
+                code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+                message: `Two-factor authentication is required for the ${user.role} role. Set it up with POST /profile/2fa/setup using the enrollment token.`,
+                enrollmentToken: signPurposeToken(user, '2fa-enroll', TWO_FACTOR_ENROLLMENT_TTL),
+                expiresIn: TWO_FACTOR_ENROLLMENT_TTL
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: status === 'created' ? 'Account created and logged in' : 'Login successful',
+            account: status,
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role
+            },
+            token: await signAccessToken(user, req, { mfa })
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Password policy (Public) - the rules new passwords must follow
+app.get('/password-policy', (req, res) => {
+    res.json({
+        success: true,
+        policy: passwordPolicy.describe()
+    });
+});
+
+// Signup (Public)
+app.post('/signup', async (req, res) => {
+    try {
+        const { username, email, password } = req.body;
+        
+        if (!(await isOpenSignup())) {
+            return res.status(403).json({ 
+                success: false, 
+                code: 'INVITATION_REQUIRED',
+                message: 'Signup is by invitation only' 
+            });
+        }
+        
+        const passwordErrors = await passwordPolicy.validate(password, { username, email });
+        if (passwordErrors.length) {
+            return sendWeakPassword(res, passwordErrors);
+        }
         
         // Create user
         const user = new User({ 
             username, 
             email, 
             password, 
-            role: userRole 
+            // Never taken from the body: other roles come with an invitation
+            // (POST /invitations/:token/accept) or from an admin
+            role: 'user' 
         });
         
         await user.save();
         
         // Generate token
-        const token = jwt.sign(
-            { 
-                userId: user._id, 
-                username: user.username, 
+        const token = await signAccessToken(user, req);
+        
+        res.status(201).json({
+            success: true,
+            message: 'User registered successfully',
+            user: {
+                id: user._id,
+                username: user.username,
                 email: user.email,
-                role: user.role 
+                role: user.role
             },
-            JWT_SECRET,
-            { expiresIn: '24h' }
+            token
+        });
+    } catch (error) {
+        res.status(400).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Invitation (Public) - who an invitation is for, to fill in the signup form
+app.get('/invitations/:token', async (req, res) => {
+    try {
+        const invitation = await findPendingInvitation(req.params.token);
+        if (!invitation) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Invitation not found, expired or already used' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            invitation: {
+                email: invitation.email,
+                role: invitation.role,
+                expiresAt: invitation.expiresAt
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Accept an invitation (Public) - { username, password }
+// Creates the account for the invited email with the invited role. Works
+// whether or not open signup is on.
+app.post('/invitations/:token/accept', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        const invitation = await findPendingInvitation(req.params.token);
+        if (!invitation) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Invitation not found, expired or already used' 
+            });
+        }
+        
+        if (!(await roleStore.exists(invitation.role))) {
+            return res.status(409).json({ 
+                success: false, 
+                message: `The ${invitation.role} role no longer exists; ask for a new invitation` 
+            });
+        }
+        
+        if (await User.exists({ email: invitation.email })) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'An account with this email already exists' 
+            });
+        }
+        
+        if (typeof username !== 'string' || !username.trim()) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'A username is required' 
+            });
+        }
+        if (await User.exists({ username: username.trim() })) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'This username is taken' 
+            });
+        }
+        
+        const passwordErrors = await passwordPolicy.validate(password, { username, email: invitation.email });
+        if (passwordErrors.length) {
+            return sendWeakPassword(res, passwordErrors);
+        }
+        
+        const user = new User({
+            username,
+            email: invitation.email,
+            password,
+            role: invitation.role
+        });
+        const invalid = user.validateSync();
+        if (invalid) {
+            return res.status(400).json({ 
+                success: false, 
+                message: invalid.message 
+            });
+        }
+        
+        await auditInvitationAccept(invitation, user, req.ip);
+        
+        // The unique email stops a second acceptance racing this one
+        await user.save();
+        await Invitation.updateOne(
+            { _id: invitation._id, acceptedAt: null },
+            { acceptedAt: new Date(), acceptedBy: user._id }
         );
         
+        const account = {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            role: user.role
+        };
+        
+        // Roles that require 2FA must enroll before they get an access token
+        const requiredRoles = await getTwoFactorRequiredRoles();
+        if (requiredRoles.includes(user.role)) {
+            return res.status(201).json({
+                success: true,
+                code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+                message: `Account created. Two-factor authentication is required for the ${user.role} role; set it up with POST /profile/2fa/setup using the enrollment token.`,
+                user: account,
+                enrollmentToken: signPurposeToken(user, '2fa-enroll', TWO_FACTOR_ENROLLMENT_TTL),
+                expiresIn: TWO_FACTOR_ENROLLMENT_TTL
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: 'Invitation accepted and account created',
+            user: account,
+            token: await signAccessToken(user, req)
+        });
+    } catch (error) {
+        // Bad input is answered above; a duplicate here lost a race
+        res.status(error.code === 11000 ? 409 : error.status || 500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Login (Public)
+app.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const attempt = { account: email, ip: req.ip };
+        
+        // Refuse while the account or IP is locked out or delayed
+        const block = await loginThrottle.check(attempt);
+        if (block) {
+            return sendThrottled(res, block);
+        }
+        
+        // Find user
+        const user = await User.findOne({ email });
+        if (!user) {
+            return rejectLogin(res, attempt, 'Invalid credentials');
+        }
+        
+        // Check if user is active
+        if (!user.isActive) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Account is deactivated' 
+            });
+        }
+        
+        // Verify password
+        const isMatch = await user.comparePassword(password);
+        if (!isMatch) {
+            return rejectLogin(res, attempt, 'Invalid credentials');
+        }
+        
+        // Upgrade a hash made with an older algorithm or cost while we have the password
+        await user.upgradePasswordHash(password);
+        
+        // With 2FA on, the password only earns a challenge token for /login/2fa
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: signPurposeToken(user, '2fa-challenge', TWO_FACTOR_CHALLENGE_TTL),
+                expiresIn: TWO_FACTOR_CHALLENGE_TTL
+            });
+        }
+        
+        // Roles that require 2FA must enroll before they get an access token
+        const requiredRoles = await getTwoFactorRequiredRoles();
+        if (requiredRoles.includes(user.role)) {
+            return res.status(403).json({
+                success: false,
+                code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+                message: `Two-factor authentication is required for the ${user.role} role. Set it up with POST /profile/2fa/setup using the enrollment token.`,
+                enrollmentToken: signPurposeToken(user, '2fa-enroll', TWO_FACTOR_ENROLLMENT_TTL),
+                expiresIn: TWO_FACTOR_ENROLLMENT_TTL
+            });
+        }
+        
+        // Generate token
+        const token = await signAccessToken(user, req);
+        await loginThrottle.recordSuccess(attempt);
+        
+        res.json({
+            success: true,
+            message: 'Login successful',
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role
+            },
+            token
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// Login - second step (Public)
+// Exchange the challenge token from /login and a TOTP or recovery code for an access token
+app.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Challenge token and code or recovery code required' 
+            });
+        }
+        
+        let challenge;
+        try {
+            challenge = keyRing.verify(challengeToken);
+        } catch (error) {
+            challenge = null;
+        }
+        if (!challenge || challenge.purpose !== '2fa-challenge') {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Invalid or expired challenge token' 
+            });
+        }
+        
+        const user = await User.findById(challenge.userId).select(TWO_FACTOR_SELECT);
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Invalid or expired challenge token' 
+            });
+        }
+        if (!user.isActive) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Account is deactivated' 
+            });
+        }
+        
+        // Wrong codes count against the account like wrong passwords
+        const attempt = { account: user.email, ip: req.ip };
+        const block = await loginThrottle.check(attempt);
+        if (block) {
+            return sendThrottled(res, block);
+        }
+        
+        const verified = await verifySecondFactor(user, { code, recoveryCode });
+        if (!verified) {
+            return rejectLogin(res, attempt, 'Invalid two-factor code');
+        }
+        await loginThrottle.recordSuccess(attempt);
+        
+        const response = {
+            success: true,
+            message: 'Login successful',
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role
+            },
+            token: await signAccessToken(user, req, { mfa: true })
+        };
+        if (verified.method === 'recovery-code') {
+            response.remainingRecoveryCodes = verified.remainingRecoveryCodes;
+        }
+        
+        res.json(response);
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// PROTECTED ROUTES
+
+// 1. User Profile (Authenticated users only)
+app.get('/profile', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('-password');
+        res.json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 2. Update Profile (Own profile only)
+app.put('/profile', authenticate, async (req, res) => {
+    try {
+        const { username, email } = req.body;
+        
+        const updatedUser = await User.findByIdAndUpdate(
+            req.user.userId,
+            { username, email },
+            { new: true, runValidators: true }
+        ).select('-password');
+        
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            user: updatedUser
+        });
+    } catch (error) {
+        res.status(400).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 3. Change Password (Own profile only)
+app.put('/profile/change-password', authenticate, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        
+        const user = await User.findById(req.user.userId).select('+passwordHistory');
+        
+        // Verify current password
+        const isMatch = await user.comparePassword(currentPassword);
+        if (!isMatch) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Current password is incorrect' 
+            });
+        }
+        
+        const passwordErrors = await passwordPolicy.validate(newPassword, {
+            username: user.username,
+            email: user.email,
+            previousHashes: [user.password, ...(user.passwordHistory || [])],
+            compare: passwordHasher.verify
+        });
+        if (passwordErrors.length) {
+            return sendWeakPassword(res, passwordErrors);
+        }
+        
+        // Update password (hashed by the pre-save hook)
+        user.passwordHistory = passwordPolicy.nextHistory(user.password, user.passwordHistory);
+        user.password = newPassword;
+        await user.save();
+        
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+    } catch (error) {
+        res.status(400).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// ADMIN-ONLY ROUTES
+
+// 4. Admin Dashboard (admin:dashboard)
+app.get('/admin', authenticate, requirePermission('admin:dashboard'), (req, res) => {
+    res.json({
+        success: true,
+        message: 'Welcome to Admin Dashboard',
+        admin: req.user,
+        features: [
+            'View all users',
+            'Manage user roles',
+            'Activate/deactivate users',
+            'View system statistics'
+        ]
+    });
+});
+
+// 5. Get all users (users:read)
+app.get('/admin/users', authenticate, requirePermission('users:read'), async (req, res) => {
+    try {
+        const users = await User.find().select('-password');
+        
+        // Calculate statistics
+        const byRole = {};
+        users.forEach(u => { byRole[u.role] = (byRole[u.role] || 0) + 1; });
+        const stats = {
+            total: users.length,
+            active: users.filter(u => u.isActive).length,
+            admins: byRole.admin || 0,
+            users: byRole.user || 0,
+            moderators: byRole.moderator || 0,
+            byRole
+        };
+        
+        res.json({
+            success: true,
+            stats,
+            users
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 6. Update user role (policy users:update-role)
+//    Only to a role whose permissions you hold yourself.
+app.put('/admin/users/:id/role', authenticate, checkUserId, enforcePolicy('users:update-role', targetUser), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const { id } = req.params;
+        
+        // Prevent modifying own role (optional)
+        if (id === req.user.userId) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Cannot modify your own role' 
+            });
+        }
+        
+        // Validate role
+        if (!(await roleStore.exists(role))) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid role' 
+            });
+        }
+        
+        // No handing out more than you have
+        const [held, granted] = await Promise.all([
+            roleStore.permissionsFor(req.user.role),
+            roleStore.permissionsFor(role)
+        ]);
+        if (!covers(held, granted)) {
+            return res.status(403).json({ 
+                success: false, 
+                message: `Cannot assign the ${role} role: it has permissions you don't have` 
+            });
+        }
+        
+        await auditUserChange(req, 'user.role.update', req.resource, { role: req.resource.role }, { role });
+        
+        const user = await User.findByIdAndUpdate(
+            id,
+            { role },
+            { new: true, runValidators: true }
+        ).select('-password');
+        
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        
+        // Access tokens carry the role, so the old one must not outlive the
+        // change: the user logs in again and gets tokens for the new role
+        if (req.resource.role !== role) {
+            await sessions.revokeAll(user._id, 'role-change');
+        }
+        
+        res.json({
+            success: true,
+            message: `User role updated to ${role}`,
+            user
+        });
+    } catch (error) {
+        res.status(400).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 7. Toggle user active status (policy users:update-status)
+//    Moderators (users:deactivate) may deactivate non-admins; see rbacPolicies.js.
+app.put('/admin/users/:id/status', authenticate, checkUserId, enforcePolicy('users:update-status', targetUser), async (req, res) => {
+    try {
+        const { isActive } = req.body;
+        const { id } = req.params;
+        
+        // Prevent deactivating self
+        if (id === req.user.userId) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Cannot deactivate yourself' 
+            });
+        }
+        
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'isActive must be true or false' 
+            });
+        }
+        
+        await auditUserChange(req, 'user.status.update', req.resource, { isActive: req.resource.isActive }, { isActive });
+        
+        const user = await User.findByIdAndUpdate(
+            id,
+            { isActive },
+            { new: true }
+        ).select('-password');
+        
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        
+        // A deactivated user's existing logins end immediately
+        if (!user.isActive) {
+            await sessions.revokeAll(user._id, 'deactivated');
+        }
+        
+        res.json({
+            success: true,
+            message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+            user
+        });
+    } catch (error) {
+        res.status(400).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 8. Delete user (policy users:delete)
+app.delete('/admin/users/:id', authenticate, checkUserId, enforcePolicy('users:delete', targetUser), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Prevent deleting self
+        if (id === req.user.userId) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Cannot delete yourself' 
+            });
+        }
+        
+        await auditUserChange(req, 'user.delete', req.resource, {
+            username: req.resource.username,
+            email: req.resource.email,
+            role: req.resource.role,
+            isActive: req.resource.isActive
+        }, null);
+        
+        const user = await User.findByIdAndDelete(id);
+        
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        
+        await sessions.revokeAll(user._id, 'admin');
+        
+        res.json({
+            success: true,
+            message: 'User deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// MODERATOR ROUTES (Example)
+
+// 9. Moderator dashboard (moderator:dashboard)
+app.get('/moderator', authenticate, requirePermission('moderator:dashboard'), (req, res) => {
+    res.json({
+        success: true,
+        message: 'Welcome to Moderator Dashboard',
+        user: req.user,
+        permissions: [
+            'View flagged content',
+            'Manage user comments',
+            'View user reports'
+        ]
+    });
+});
+
+// 10. Get active users (users:read-active)
+app.get('/moderator/users/active', authenticate, requirePermission('users:read-active'), async (req, res) => {
+    try {
+        const users = await User.find({ isActive: true }).select('-password');
+        res.json({
+            success: true,
+            count: users.length,
+            users
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// TWO-FACTOR ROUTES
+
+// 11. Start 2FA enrollment: a new secret as an otpauth URI and QR code
+//     Accepts an access token or the enrollment token from /login.
+app.post('/profile/2fa/setup', authenticateEnrollment, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'Two-factor authentication is already enabled' 
+            });
+        }
+        
+        const secret = totp.generateSecret();
+        await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+        
+        const otpauthUri = totp.otpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER });
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            secret,
+            otpauthUri,
+            qrCode: await totp.qrCodeDataUrl(otpauthUri)
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 12. Confirm 2FA enrollment with a code for the pending secret
+//     Returns the recovery codes (shown only this once) and an access token
+//     that counts as a 2FA login.
+app.post('/profile/2fa/confirm', authenticateEnrollment, async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Code required' 
+            });
+        }
+        
+        const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'Two-factor authentication is already enabled' 
+            });
+        }
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Start with POST /profile/2fa/setup' 
+            });
+        }
+        
+        const step = totp.verifyTotp(user.twoFactor.pendingSecret, code);
+        if (step === null) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Invalid two-factor code' 
+            });
+        }
+        
+        const recoveryCodes = totp.generateRecoveryCodes();
+        user.twoFactor = {
+            enabled: true,
+            enabledAt: new Date(),
+            secret: user.twoFactor.pendingSecret,
+            pendingSecret: undefined,
+            lastUsedStep: step,
+            recoveryCodes: recoveryCodes.map(totp.hashRecoveryCode)
+        };
+        await user.save();
+        
+        // The new token replaces the one used here, which didn't count as a 2FA login
+        if (req.user.sid) {
+            await sessions.revoke(user._id, req.user.sid, 'logout');
+        }
+        
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+            recoveryCodes,
+            token: await signAccessToken(user, req, { mfa: true })
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 13. Replace recovery codes (needs a current code)
+app.post('/profile/2fa/recovery-codes', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Two-factor authentication is not enabled' 
+            });
+        }
+        
+        const verified = await verifySecondFactor(user, { code: req.body.code });
+        if (!verified) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Invalid two-factor code' 
+            });
+        }
+        
+        const recoveryCodes = totp.generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            { 'twoFactor.recoveryCodes': recoveryCodes.map(totp.hashRecoveryCode) }
+        );
+        
+        res.json({
+            success: true,
+            message: 'Recovery codes replaced',
+            recoveryCodes
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 14. Disable 2FA (needs the password and a code or recovery code)
+//     Not allowed while the user's role requires 2FA.
+app.post('/profile/2fa/disable', authenticate, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Password and code or recovery code required' 
+            });
+        }
+        
+        const user = await User.findById(req.user.userId).select(TWO_FACTOR_SELECT);
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Two-factor authentication is not enabled' 
+            });
+        }
+        
+        const requiredRoles = await getTwoFactorRequiredRoles();
+        if (requiredRoles.includes(user.role)) {
+            return res.status(403).json({ 
+                success: false, 
+                message: `Two-factor authentication is required for the ${user.role} role` 
+            });
+        }
+        
+        const isMatch = await user.comparePassword(password);
+        if (!isMatch) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Password is incorrect' 
+            });
+        }
+        
+        const verified = await verifySecondFactor(user, { code, recoveryCode });
+        if (!verified) {
+            return res.status(401).json({ 
+                success: false, 
+                message: 'Invalid two-factor code' 
+            });
+        }
+        
+        await User.updateOne({ _id: user._id }, { $unset: { twoFactor: 1 } });
+        
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 15. Get the roles that must use 2FA (settings:read)
+app.get('/admin/settings/2fa', authenticate, requirePermission('settings:read'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            requiredRoles: await getTwoFactorRequiredRoles()
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 16. Set the roles that must use 2FA (settings:update)
+//     Requiring it for your own role needs 2FA on your account first, so an
+//     admin can't lock themselves out.
+app.put('/admin/settings/2fa', authenticate, requirePermission('settings:update'), async (req, res) => {
+    try {
+        const { requiredRoles } = req.body;
+        
+        const roleNames = (await roleStore.listRoles()).map(role => role.name);
+        if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !roleNames.includes(role))) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `requiredRoles must be an array of: ${roleNames.join(', ')}` 
+            });
+        }
+        
+        if (requiredRoles.includes(req.user.role) && !req.user.mfa) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Enable two-factor authentication and log in with it before requiring it for your own role' 
+            });
+        }
+        
+        const roles = [...new Set(requiredRoles)];
+        await auditLog.record({
+            action: 'settings.2fa.update',
+            actor: auditActor(req),
+            target: { kind: 'setting', id: 'twoFactorRequiredRoles', label: 'twoFactorRequiredRoles' },
+            before: { requiredRoles: await getTwoFactorRequiredRoles() },
+            after: { requiredRoles: roles },
+            ip: req.ip
+        });
+        await Setting.findOneAndUpdate(
+            { key: 'twoFactorRequiredRoles' },
+            { value: roles, updatedBy: req.user.userId, updatedAt: new Date() },
+            { upsert: true }
+        );
+        
+        res.json({
+            success: true,
+            message: roles.length
+                ? `Two-factor authentication is now required for: ${roles.join(', ')}`
+                : 'Two-factor authentication is no longer required for any role',
+            requiredRoles: roles
+        });
+    } catch (error) {
+        res.status(400).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 17. Reset a user's 2FA, e.g. after a lost device (users:reset-2fa)
+app.delete('/admin/users/:id/2fa', authenticate, checkUserId, requirePermission('users:reset-2fa'), async (req, res) => {
+    try {
+        const found = await User.findById(req.params.id).select('-password');
+        if (!found) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        
+        await auditUserChange(req, 'user.2fa.reset', found,
+            { twoFactorEnabled: Boolean(found.twoFactor && found.twoFactor.enabled) },
+            { twoFactorEnabled: false });
+        const user = await User.findByIdAndUpdate(
+            found._id,
+            { $unset: { twoFactor: 1 } },
+            { new: true }
+        ).select('-password');
+        
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset. The user must enroll again if their role requires it.',
+            user
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 18. Unlock a user locked out by failed logins (users:unlock)
+//     Pass { "ip": "..." } to also lift the lockout on an address.
+app.post('/admin/users/:id/unlock', authenticate, checkUserId, requirePermission('users:unlock'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('-password');
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        
+        const before = await loginThrottle.status({ account: user.email });
+        await auditUserChange(req, 'user.unlock', user,
+            { lockedUntil: before.lockedUntil, failures: before.failures },
+            { lockedUntil: null, failures: 0, ip: req.body.ip || null });
+        await loginThrottle.unlock({ account: user.email, ip: req.body.ip });
+        
+        res.json({
+            success: true,
+            message: before.lockedUntil ? 'User unlocked' : 'User was not locked; failed attempts cleared',
+            wasLockedUntil: before.lockedUntil,
+            clearedFailures: before.failures,
+            user
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// API KEY ROUTES
+// Not under /profile so that a key's profile scopes can't reach them
+
+// 19. Create an API key - { name, scopes, expiresAt? }
+//     The key is in this response only; it is stored as a hash.
+app.post('/api-keys', authenticate, async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+        const invalid = apiKeys.validate({ name, scopes, expiresAt });
+        if (invalid) {
+            return res.status(400).json({ 
+                success: false, 
+                message: invalid 
+            });
+        }
+        
+        const { key, apiKey } = await apiKeys.create({
+            user: req.user.userId,
+            name,
+            scopes,
+            expiresAt,
+            mfa: Boolean(req.user.mfa)
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now; it won\'t be shown again.',
+            key,
+            apiKey: {
+                id: apiKey._id,
+                name: apiKey.name,
+                hint: apiKey.hint,
+                scopes: apiKey.scopes,
+                expiresAt: apiKey.expiresAt,
+                createdAt: apiKey.createdAt
+            }
+        });
+    } catch (error) {
+        res.status(400).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 20. List your API keys, including revoked and expired ones
+app.get('/api-keys', authenticate, async (req, res) => {
+    try {
+        const keys = await apiKeys.list(req.user.userId);
+        res.json({
+            success: true,
+            count: keys.length,
+            apiKeys: keys
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 21. Revoke one of your API keys
+app.delete('/api-keys/:id', authenticate, async (req, res) => {
+    try {
+        const apiKey = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await apiKeys.revoke(req.user.userId, req.params.id)
+            : null;
+        
+        if (!apiKey) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'API key not found' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'API key revoked',
+            apiKey
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// SESSION ROUTES
+
+// 22. List your active sessions (devices you're logged in on)
+app.get('/profile/sessions', authenticate, async (req, res) => {
+    try {
+        const active = await sessions.list(req.user.userId);
+        res.json({
+            success: true,
+            count: active.length,
+            sessions: active.map(session => describeSession(session, req.user.sid))
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 23. End one of your sessions (e.g. a lost phone)
+app.delete('/profile/sessions/:id', authenticate, async (req, res) => {
+    try {
+        const session = await sessions.revoke(req.user.userId, req.params.id, 'user');
+        if (!session) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Session not found' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Session ended',
+            session: describeSession(session, req.user.sid)
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 24. List a user's active sessions (policy sessions:read; also your own)
+app.get('/admin/users/:id/sessions', authenticate, checkUserId, enforcePolicy('sessions:read', targetUser), async (req, res) => {
+    try {
+        const active = await sessions.list(req.resource._id);
+        res.json({
+            success: true,
+            count: active.length,
+            sessions: active.map(session => describeSession(session, req.user.sid))
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 25. Force-logout a user from every device (policy sessions:revoke; also yourself)
+app.post('/admin/users/:id/logout', authenticate, checkUserId, enforcePolicy('sessions:revoke', targetUser), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('-password');
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        
+        const ownAccount = String(user._id) === req.user.userId;
+        await auditUserChange(req, 'user.sessions.revoke', user, null, { reason: ownAccount ? 'logout-all' : 'admin' });
+        const revoked = await sessions.revokeAll(user._id, ownAccount ? 'logout-all' : 'admin');
+        
+        res.json({
+            success: true,
+            message: `Logged ${user.username} out of ${revoked} session(s)`,
+            revokedSessions: revoked,
+            user
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 26. Password hash report (reports:read)
+//     How many accounts still have hashes older than the configured algorithm
+//     and cost; they are upgraded when their owners next log in.
+app.get('/admin/reports/password-hashes', authenticate, requirePermission('reports:read'), async (req, res) => {
+    try {
+        const groups = new Map();
+        let total = 0;
+        let legacy = 0;
+        
+        for await (const user of User.find({}, 'password').lean().cursor()) {
+            const { algorithm, params } = inspectHash(user.password);
+            const outdated = passwordHasher.needsRehash(user.password);
+            const key = `${algorithm}:${JSON.stringify(params)}`;
+            
+            if (!groups.has(key)) {
+                groups.set(key, { algorithm, params, legacy: outdated, count: 0 });
+            }
+            groups.get(key).count += 1;
+            total += 1;
+            if (outdated) legacy += 1;
+        }
+        
+        res.json({
+            success: true,
+            current: passwordHasher.current(),
+            total,
+            legacy,
+            upToDate: total - legacy,
+            breakdown: [...groups.values()].sort((a, b) => b.count - a.count)
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// ROLE ROUTES
+// Nobody can grant a role permissions they don't hold themselves.
+
+// 27. List permissions (roles:read)
+app.get('/admin/permissions', authenticate, requirePermission('roles:read'), async (req, res) => {
+    try {
+        const permissions = await roleStore.listPermissions();
+        res.json({
+            success: true,
+            count: permissions.length,
+            permissions
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 28. Create a permission (roles:manage) - { name: "resource:action", description }
+//     For routes added later; a permission does nothing until a route requires it.
+app.post('/admin/permissions', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        await auditRoleChange(req, 'permission.create', 'permission', String(name), null, { description });
+        const permission = await roleStore.createPermission({ name, description });
+        
+        res.status(201).json({
+            success: true,
+            message: `Permission ${name} created`,
+            permission
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 29. List roles with their own and effective (inherited too) permissions
+//     and how many users have them (roles:read)
+app.get('/admin/roles', authenticate, requirePermission('roles:read'), async (req, res) => {
+    try {
+        const [roles, counts] = await Promise.all([
+            roleStore.listRoles(),
+            User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+        ]);
+        const userCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+        const effective = await Promise.all(roles.map(role => roleStore.permissionsFor(role.name)));
+        
+        res.json({
+            success: true,
+            count: roles.length,
+            roles: roles.map((role, i) => ({
+                ...role,
+                effectivePermissions: [...effective[i]].sort(),
+                userCount: userCounts.get(role.name) || 0
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
+});
+
+// 30. Create a role (roles:manage)
+//     { name, description, permissions, inherits: [role names] }
+app.post('/admin/roles', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { name, description, permissions = [], inherits = [] } = req.body;
+        
+        if (!(await canGrant(req.user, { permissions, inherits }))) {
+            return res.status(403).json({ 
+                success: false, 
+                message: 'Cannot grant permissions you don\'t have' 
+            });
+        }
+        
+        await auditRoleChange(req, 'role.create', 'role', String(name), null, { description, permissions, inherits });
+        const role = await roleStore.createRole({ name, description, permissions, inherits });
+        
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role
-            },
-            token
+            message: `Role ${name} created`,
+            role
         });
     } catch (error) {
-        res.status(400).json({ 
+        res.status(error.status || 500).json({ 
             success: false, 
             message: error.message 
         });
     }
 });
 
-// Login (Public)
-app.post('/login', async (req, res) => {
+// 31. Update a role (roles:manage)
+//     Any of { description, permissions, inherits }. Takes effect on the
+//     next request of every user with the role or a role inheriting from
+//     it. Inheritance that would form a cycle is refused.
+app.put('/admin/roles/:name', authenticate, requirePermission('roles:manage'), async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { description, permissions, inherits } = req.body;
+        const { name } = req.params;
         
-        // Find user
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(401).json({ 
+        // Admin keeps every permission so the system can't lose its last manager
+        if (name === 'admin' && permissions !== undefined) {
+            return res.status(400).json({ 
                 success: false, 
-                message: 'Invalid credentials' 
+                message: 'The admin role always has every permission' 
             });
         }
         
-        // Check if user is active
-        if (!user.isActive) {
+        if (!(await canGrant(req.user, { permissions, inherits }))) {
             return res.status(403).json({ 
                 success: false, 
-                message: 'Account is deactivated' 
+                message: 'Cannot grant permissions you don\'t have' 
             });
         }
         
-        // Verify password
-        const isMatch = await user.comparePassword(password);
-        if (!isMatch) {
-            return res.status(401).json({ 
+        const current = await roleStore.getRole(name);
+        if (!current) {
+            return res.status(404).json({ 
                 success: false, 
-                message: 'Invalid credentials' 
+                message: 'Role not found' 
             });
         }
         
-        // Generate token
-        const token = jwt.sign(
-            { 
-                userId: user._id, 
-                username: user.username, 
-                email: user.email,
-                role: user.role 
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Fields left out of the body keep their values
+        const changes = Object.entries({ description, permissions, inherits })
+            .filter(([, value]) => value !== undefined);
+        const before = roleAuditValues(current);
+        await auditRoleChange(req, 'role.update', 'role', name, before, { ...before, ...Object.fromEntries(changes) });
+        const role = await roleStore.updateRole(name, { description, permissions, inherits });
+        if (!role) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Role not found' 
+            });
+        }
         
         res.json({
             success: true,
-            message: 'Login successful',
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role
-            },
-            token
+            message: `Role ${name} updated`,
+            role
         });
     } catch (error) {
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             success: false, 
             message: error.message 
         });
     }
 });
 
-// PROTECTED ROUTES
-
-// 1. User Profile (Authenticated users only)
-app.get('/profile', authenticate, async (req, res) => {
+// 32. Delete a custom role (roles:manage)
+//     Refused while users still have it, other roles inherit from it or
+//     OIDC_ROLE_MAP maps a group to it.
+app.delete('/admin/roles/:name', authenticate, requirePermission('roles:manage'), async (req, res) => {
     try {
-        const user = await User.findById(req.user.userId).select('-password');
+        const { name } = req.params;
+        
+        if (ROLE_PRECEDENCE.includes(name)) {
+            return res.status(409).json({ 
+                success: false, 
+                message: `OIDC_ROLE_MAP maps a group to ${name}` 
+            });
+        }
+        
+        const assigned = await User.countDocuments({ role: name });
+        if (assigned > 0) {
+            return res.status(409).json({ 
+                success: false, 
+                message: `${assigned} user(s) still have the ${name} role` 
+            });
+        }
+        
+        const current = await roleStore.getRole(name);
+        if (!current) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Role not found' 
+            });
+        }
+        
+        await auditRoleChange(req, 'role.delete', 'role', name, roleAuditValues(current), null);
+        const role = await roleStore.deleteRole(name);
+        if (!role) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'Role not found' 
+            });
+        }
+        
         res.json({
             success: true,
-            user
+            message: `Role ${name} deleted`,
+            role
         });
     } catch (error) {
-        res.status(500).json({ 
+        res.status(error.status || 500).json({ 
             success: false, 
             message: error.message 
         });
     }
 });
 
-// 2. Update Profile (Own profile only)
-app.put('/profile', authenticate, async (req, res) => {
+// 33. Explain whether a user has a permission (roles:read)
+//     GET /admin/users/:id/access?permission=users:delete names the role that
+//     grants it and the inheritance path, or why nothing does.
+//     Actions that routes guard with policies are decided by the policy
+//     engine, like the routes do: pass the account they would act on as
+//     &target=<userId> and, for rules that look at the request, the body it
+//     would send as &body=<JSON>, e.g. body={"isActive":false}.
+app.get('/admin/users/:id/access', authenticate, checkUserId, requirePermission('roles:read'), async (req, res) => {
     try {
-        const { username, email } = req.body;
+        const { permission } = req.query;
+        if (typeof permission !== 'string' || !permission) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'permission query parameter is required' 
+            });
+        }
         
-        const updatedUser = await User.findByIdAndUpdate(
-            req.user.userId,
-            { username, email },
-            { new: true, runValidators: true }
-        ).select('-password');
+        let body = {};
+        if (req.query.body !== undefined) {
+            try {
+                body = JSON.parse(String(req.query.body));
+            } catch (error) {
+                body = null;
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'body must be a JSON object' 
+                });
+            }
+        }
+        
+        const user = await User.findById(req.params.id).select('-password');
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                message: 'User not found' 
+            });
+        }
+        
+        let target = null;
+        if (req.query.target !== undefined) {
+            target = await loadPolicyUser(String(req.query.target));
+            if (!target) {
+                return res.status(404).json({ 
+                    success: false, 
+                    message: 'Target user not found' 
+                });
+            }
+        }
+        
+        const explanation = await roleStore.explain(user.role, permission);
+        const requiredRoles = await getTwoFactorRequiredRoles();
+        
+        // Policy-guarded actions are decided by the engine, not the role alone
+        const decision = policyEngine.forAction(permission).length
+            ? policyEngine.evaluate(permission, await policyContext(req, target, {
+                actor: { userId: String(user._id), username: user.username, role: user.role },
+                body
+            }))
+            : null;
+        
+        // The role alone isn't the whole story
+        const blockers = [];
+        if (!user.isActive) {
+            blockers.push('Account is deactivated');
+        }
+        if (requiredRoles.includes(user.role) && !user.twoFactor.enabled) {
+            blockers.push(`The ${user.role} role requires two-factor authentication, which the user hasn't set up`);
+        }
         
         res.json({
             success: true,
-            message: 'Profile updated successfully',
-            user: updatedUser
+            user: {
+                id: user._id,
+                username: user.username,
+                role: user.role,
+                isActive: user.isActive
+            },
+            permission,
+            target: target && { id: target.id, username: target.username, role: target.role },
+            ...explanation,
+            ...(decision && { reason: decision.reason }),
+            allowedByRole: explanation.allowed,
+            policy: decision && { name: decision.policy, allowed: decision.allowed },
+            allowed: (decision ? decision.allowed : explanation.allowed) && blockers.length === 0,
+            blockers
         });
     } catch (error) {
-        res.status(400).json({ 
+        res.status(500).json({ 
             success: false, 
             message: error.message 
         });
     }
 });
 
-// 3. Change Password (Own profile only)
-app.put('/profile/change-password', authenticate, async (req, res) => {
+// AUDIT ROUTES
+
+// 34. Query the audit log (audit:read), newest first
+//     Filters: action, actor (user id), target (user id), from, to (dates),
+//     beforeSeq (for paging) and limit (default 100). format=csv downloads
+//     the matches as CSV; format=json downloads them as a JSON file.
+app.get('/admin/audit', authenticate, requirePermission('audit:read'), async (req, res) => {
     try {
-        const { currentPassword, newPassword } = req.body;
+        const { action, actor, target, from, to, beforeSeq, format } = req.query;
+        const exporting = format === 'csv' || format === 'json';
+        const requested = Number.parseInt(req.query.limit, 10) || (exporting ? AUDIT_EXPORT_LIMIT : 100);
+        const limit = Math.min(Math.max(requested, 1), AUDIT_EXPORT_LIMIT);
         
-        const user = await User.findById(req.user.userId);
+        const entries = await auditLog.query({ action, actor, target, from, to, beforeSeq, limit });
         
-        // Verify current password
-        const isMatch = await user.comparePassword(currentPassword);
-        if (!isMatch) {
-            return res.status(401).json({ 
-                success: false, 
-                message: 'Current password is incorrect' 
-            });
+        if (exporting) {
+            const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            if (format === 'csv') {
+                return res.type('text/csv').send(toCsv(entries));
+            }
+            return res.type('application/json').send(JSON.stringify(entries, null, 2));
         }
         
-        // Update password
-        user.password = newPassword;
-        await user.save();
-        
         res.json({
             success: true,
-            message: 'Password changed successfully'
+            count: entries.length,
+            // Pass as beforeSeq for the next page
+            nextBeforeSeq: entries.length === limit ? entries[entries.length - 1].seq : null,
+            entries
         });
     } catch (error) {
-        res.status(400).json({ 
+        res.status(error.status || 500).json({ 
             success: false, 
             message: error.message 
         });
     }
 });
 
-// ADMIN-ONLY ROUTES
-
-// 4. Admin Dashboard (Admin only - using specific middleware)
-app.get('/admin', authenticate, adminOnly, (req, res) => {
-    res.json({
-        success: true,
-        message: 'Welcome to Admin Dashboard',
-        admin: req.user,
-        features: [
-            'View all users',
-            'Manage user roles',
-            'Activate/deactivate users',
-            'View system statistics'
-        ]
-    });
-});
-
-// 5. Get all users (Admin only - using authorize middleware)
-app.get('/admin/users', authenticate, authorize('admin'), async (req, res) => {
+// 35. Check the audit log's hash chain (audit:read)
+//     Keep the reported head somewhere else to notice entries cut from the end.
+app.get('/admin/audit/verify', authenticate, requirePermission('audit:read'), async (req, res) => {
     try {
-        const users = await User.find().select('-password');
-        
-        // Calculate statistics
-        const stats = {
-            total: users.length,
-            active: users.filter(u => u.isActive).length,
-            admins: users.filter(u => u.role === 'admin').length,
-            users: users.filter(u => u.role === 'user').length,
-            moderators: users.filter(u => u.role === 'moderator').length
-        };
-        
-        res.json({
-            success: true,
-            stats,
-            users
+        const result = await auditLog.verify();
+        res.status(result.valid ? 200 : 409).json({
+            success: result.valid,
+            message: result.valid
+                ? `Audit log intact (${result.entries} entries)`
+                : `Audit log tampered with at entry ${result.brokenAt}: ${result.reason}`,
+            ...result
         });
     } catch (error) {
         res.status(500).json({ 
@@ -387,119 +2659,174 @@ app.get('/admin/users', authenticate, authorize('admin'), async (req, res) => {
     }
 });
 
-// 6. Update user role (Admin only)
-app.put('/admin/users/:id/role', authenticate, authorize('admin'), async (req, res) => {
+// INVITATION ROUTES
+
+// 36. Invite someone (invitations:manage) - { email, role, expiresInDays }
+//     Emails the invitation link; a new invitation replaces any pending one
+//     for the same address. You can only invite into a role whose
+//     permissions you hold yourself.
+app.post('/admin/invitations', authenticate, requirePermission('invitations:manage'), async (req, res) => {
     try {
-        const { role } = req.body;
-        const { id } = req.params;
+        const { role = 'user', expiresInDays = INVITATION_TTL_DAYS } = req.body;
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
         
-        // Prevent modifying own role (optional)
-        if (id === req.user.userId) {
+        if (!/.+\@.+\..+/.test(email)) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Cannot modify your own role' 
+                message: 'A valid email is required' 
             });
         }
         
-        // Validate role
-        if (!['user', 'admin', 'moderator'].includes(role)) {
+        const days = Number(expiresInDays);
+        if (!(days > 0 && days <= INVITATION_MAX_TTL_DAYS)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `expiresInDays must be between 1 and ${INVITATION_MAX_TTL_DAYS}` 
+            });
+        }
+        
+        if (!(await roleStore.exists(role))) {
             return res.status(400).json({ 
                 success: false, 
                 message: 'Invalid role' 
             });
         }
         
-        const user = await User.findByIdAndUpdate(
-            id,
-            { role },
-            { new: true, runValidators: true }
-        ).select('-password');
+        if (!(await canGrant(req.user, { inherits: [role] }))) {
+            return res.status(403).json({ 
+                success: false, 
+                message: `Cannot invite into the ${role} role: it has permissions you don't have` 
+            });
+        }
         
-        if (!user) {
-            return res.status(404).json({ 
+        if (await User.exists({ email })) {
+            return res.status(409).json({ 
                 success: false, 
-                message: 'User not found' 
+                message: 'An account with this email already exists' 
             });
         }
         
-        res.json({
+        const token = crypto.randomBytes(32).toString('base64url');
+        const invitation = new Invitation({
+            email,
+            role,
+            tokenHash: hashInvitationToken(token),
+            invitedBy: req.user.userId,
+            expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+        });
+        
+        // Logged before anything changes
+        await auditLog.record({
+            action: 'invitation.create',
+            actor: auditActor(req),
+            target: { kind: 'invitation', id: String(invitation._id), label: email },
+            before: null,
+            after: { email, role, expiresAt: invitation.expiresAt },
+            ip: req.ip
+        });
+        
+        await Invitation.updateMany({ email, ...pendingInvitations() }, { revokedAt: new Date() });
+        await invitation.save();
+        
+        // The invitation stands even if the email fails; the link can be
+        // handed over another way
+        let emailSent = true;
+        try {
+            await sendInvitationEmail(invitation, token, req.user);
+        } catch (error) {
+            emailSent = false;
+            console.error(`Invitation email to ${email} failed:`, error.message);
+        }
+        
+        res.status(201).json({
             success: true,
-            message: `User role updated to ${role}`,
-            user
+            message: emailSent
+                ? `Invitation sent to ${email}`
+                : `Invitation created, but the email to ${email} could not be sent; share the invitation URL instead`,
+            emailSent,
+            invitation: describeInvitation(invitation),
+            // For handing the link over another way if email isn't set up
+            invitationUrl: invitationUrl(token)
         });
     } catch (error) {
-        res.status(400).json({ 
+        res.status(error.status || 500).json({ 
             success: false, 
             message: error.message 
         });
     }
 });
 
-// 7. Toggle user active status (Admin only)
-app.put('/admin/users/:id/status', authenticate, authorize('admin'), async (req, res) => {
+// 37. List invitations (invitations:read), newest first
+//     ?status=pending|accepted|expired|revoked narrows the list.
+app.get('/admin/invitations', authenticate, requirePermission('invitations:read'), async (req, res) => {
     try {
-        const { isActive } = req.body;
-        const { id } = req.params;
-        
-        // Prevent deactivating self
-        if (id === req.user.userId) {
+        const filters = {
+            pending: pendingInvitations(),
+            accepted: { acceptedAt: { $ne: null } },
+            revoked: { revokedAt: { $ne: null } },
+            expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } }
+        };
+        const { status } = req.query;
+        if (status !== undefined && !filters[status]) {
             return res.status(400).json({ 
                 success: false, 
-                message: 'Cannot deactivate yourself' 
-            });
-        }
-        
-        const user = await User.findByIdAndUpdate(
-            id,
-            { isActive },
-            { new: true }
-        ).select('-password');
-        
-        if (!user) {
-            return res.status(404).json({ 
-                success: false, 
-                message: 'User not found' 
+                message: `status must be one of: ${Object.keys(filters).join(', ')}` 
             });
         }
         
+        const invitations = await Invitation.find(status ? filters[status] : {}).sort({ createdAt: -1 }).lean();
         res.json({
             success: true,
-            message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
-            user
+            count: invitations.length,
+            invitations: invitations.map(describeInvitation)
         });
     } catch (error) {
-        res.status(400).json({ 
+        res.status(500).json({ 
             success: false, 
             message: error.message 
         });
     }
 });
 
-// 8. Delete user (Admin only)
-app.delete('/admin/users/:id', authenticate, authorize('admin'), async (req, res) => {
+// 38. Withdraw a pending invitation (invitations:manage)
+app.delete('/admin/invitations/:id', authenticate, requirePermission('invitations:manage'), async (req, res) => {
     try {
-        const { id } = req.params;
+        const pending = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Invitation.findOne({ _id: req.params.id, ...pendingInvitations() }).lean()
+            : null;
         
-        // Prevent deleting self
-        if (id === req.user.userId) {
-            return res.status(400).json({ 
+        if (!pending) {
+            return res.status(404).json({ 
                 success: false, 
-                message: 'Cannot delete yourself' 
+                message: 'No pending invitation with this id' 
             });
         }
         
-        const user = await User.findByIdAndDelete(id);
+        await auditLog.record({
+            action: 'invitation.revoke',
+            actor: auditActor(req),
+            target: { kind: 'invitation', id: String(pending._id), label: pending.email },
+            before: { status: 'pending' },
+            after: { status: 'revoked' },
+            ip: req.ip
+        });
         
-        if (!user) {
-            return res.status(404).json({ 
+        const invitation = await Invitation.findOneAndUpdate(
+            { _id: pending._id, ...pendingInvitations() },
+            { revokedAt: new Date() },
+            { new: true }
+        );
+        if (!invitation) {
+            return res.status(409).json({ 
                 success: false, 
-                message: 'User not found' 
+                message: 'The invitation was accepted or expired in the meantime' 
             });
         }
         
         res.json({
             success: true,
-            message: 'User deleted successfully'
+            message: 'Invitation withdrawn',
+            invitation: describeInvitation(invitation)
         });
     } catch (error) {
         res.status(500).json({ 
@@ -509,30 +2836,53 @@ app.delete('/admin/users/:id', authenticate, authorize('admin'), async (req, res
     }
 });
 
-// MODERATOR ROUTES (Example)
-
-// 9. Moderator dashboard (Moderator and Admin)
-app.get('/moderator', authenticate, authorize('moderator', 'admin'), (req, res) => {
-    res.json({
-        success: true,
-        message: 'Welcome to Moderator Dashboard',
-        user: req.user,
-        permissions: [
-            'View flagged content',
-            'Manage user comments',
-            'View user reports'
-        ]
-    });
+// 39. Whether open signup is on (settings:read)
+app.get('/admin/settings/signup', authenticate, requirePermission('settings:read'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            openSignup: await isOpenSignup()
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            success: false, 
+            message: error.message 
+        });
+    }
 });
 
-// 10. Get active users (Moderator and Admin)
-app.get('/moderator/users/active', authenticate, authorize('moderator', 'admin'), async (req, res) => {
+// 40. Turn open signup on or off (settings:update) - { openSignup: false }
+//     When off, POST /signup is refused and new accounts, SSO ones included,
+//     come from invitations.
+app.put('/admin/settings/signup', authenticate, requirePermission('settings:update'), async (req, res) => {
     try {
-        const users = await User.find({ isActive: true }).select('-password');
+        const { openSignup } = req.body;
+        if (typeof openSignup !== 'boolean') {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'openSignup must be true or false' 
+            });
+        }
+        
+        const before = await isOpenSignup();
+        await auditLog.record({
+            action: 'settings.signup.update',
+            actor: auditActor(req),
+            target: { kind: 'setting', id: 'openSignup', label: 'openSignup' },
+            before: { openSignup: before },
+            after: { openSignup },
+            ip: req.ip
+        });
+        await Setting.findOneAndUpdate(
+            { key: 'openSignup' },
+            { value: openSignup, updatedBy: req.user.userId, updatedAt: new Date() },
+            { upsert: true }
+        );
+        
         res.json({
             success: true,
-            count: users.length,
-            users
+            message: openSignup ? 'Anyone can sign up' : 'Signup is now by invitation only',
+            openSignup
         });
     } catch (error) {
         res.status(500).json({ 
@@ -0,0 +1,52 @@
+const {
+    all,
+    not,
+    hasPermission,
+    hasActionPermission,
+    isOwnRecord,
+    outranksTarget,
+    targetHasRole
+} = require('./policies');
+
+// ========================
+// RBAC POLICIES
+// ========================
+// Who may act on another user's account in rbac.js (see policies.js for how
+// policies are evaluated). Routes guarded with enforcePolicy are refused
+// unless one of these allows them, so every rule is listed here.
+
+// The request switches an account off
+const deactivating = ({ request }) => request.body.isActive === false;
+
+module.exports = [
+    {
+        name: 'manage-less-privileged-users',
+        description: 'Your role grants this and the account has no permission you lack',
+        actions: ['users:update-role', 'users:update-status', 'users:delete', 'sessions:revoke'],
+        effect: 'allow',
+        when: all(hasActionPermission, outranksTarget)
+    },
+    {
+        // Keyed to a permission rather than the moderator role name, so only
+        // roles an admin granted it to qualify
+        name: 'moderators-deactivate-non-admins',
+        description: 'Holders of users:deactivate (moderators) may deactivate accounts that are not admins',
+        actions: ['users:update-status'],
+        effect: 'allow',
+        when: all(hasPermission('users:deactivate'), deactivating, not(targetHasRole('admin')))
+    },
+    {
+        name: 'read-sessions',
+        description: 'Your role grants this',
+        actions: ['sessions:read'],
+        effect: 'allow',
+        when: hasActionPermission
+    },
+    {
+        name: 'own-sessions',
+        description: 'Users may see and end their own sessions',
+        actions: ['sessions:read', 'sessions:revoke'],
+        effect: 'allow',
+        when: isOwnRecord
+    }
+];
@@ -0,0 +1,168 @@
+// ========================
+// RECURRENCE HELPERS
+// ========================
+// Recurrence rules are a subset of iCalendar RRULE (FREQ, INTERVAL, BYDAY,
+// BYMONTHDAY, COUNT, UNTIL). CURDAPI.js stores them on tasks and, when a
+// recurring task is completed, creates the task nextInstance() describes.
+
+// Errors carrying the HTTP status the route should respond with
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+const badRequest = (message) => httpError(400, message);
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // index = Date#getUTCDay()
+
+// "20241231T090000Z" / "20241231" (RRULE UNTIL) or any ISO date
+const parseRRuleDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+    const date = match
+        ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4] || 0, match[5] || 0, match[6] || 0))
+        : new Date(value);
+    if (isNaN(date.getTime())) {
+        throw badRequest('recurrence UNTIL must be a valid date');
+    }
+    return date;
+};
+
+// Accept either an RRULE string ("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR") or
+// an object with the same keys in camelCase, and return a validated rule.
+const parseRecurrence = (value) => {
+    if (value === null) return null;
+
+    let rule = value;
+    if (typeof value === 'string') {
+        rule = {};
+        value.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+            const [key, raw = ''] = part.split('=');
+            switch (key.toUpperCase()) {
+                case 'FREQ': rule.freq = raw.toUpperCase(); break;
+                case 'INTERVAL': rule.interval = Number(raw); break;
+                case 'BYDAY': rule.byDay = raw.toUpperCase().split(','); break;
+                case 'BYMONTHDAY': rule.byMonthDay = Number(raw); break;
+                case 'COUNT': rule.count = Number(raw); break;
+                case 'UNTIL': rule.until = raw; break;
+                default: throw badRequest(`Unsupported recurrence rule part "${key}"`);
+            }
+        });
+    }
+    if (typeof rule !== 'object' || Array.isArray(rule)) {
+        throw badRequest('recurrence must be an RRULE string or an object');
+    }
+
+    const { freq, interval = 1, byDay, byMonthDay, count, until } = rule;
+    if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(freq)) {
+        throw badRequest('recurrence freq must be DAILY, WEEKLY or MONTHLY');
+    }
+    if (!Number.isInteger(interval) || interval < 1) {
+        throw badRequest('recurrence interval must be a positive integer');
+    }
+    if (byDay !== undefined && !(Array.isArray(byDay) && !byDay.length) && (freq !== 'WEEKLY' ||
+        !Array.isArray(byDay) || byDay.some(day => !WEEKDAYS.includes(day)))) {
+        throw badRequest('recurrence byDay is only allowed for WEEKLY rules, e.g. ["MO", "WE"]');
+    }
+    if (byMonthDay !== undefined && (freq !== 'MONTHLY' || !Number.isInteger(byMonthDay) ||
+        !(byMonthDay === -1 || (byMonthDay >= 1 && byMonthDay <= 31)))) {
+        throw badRequest('recurrence byMonthDay is only allowed for MONTHLY rules, 1-31 or -1 for the last day');
+    }
+    if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+        throw badRequest('recurrence count must be a positive integer');
+    }
+
+    return {
+        freq,
+        interval,
+        byDay,
+        byMonthDay,
+        count,
+        until: until === undefined ? undefined : parseRRuleDate(until)
+    };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Date in the given month on `day` (-1 = last day), clamped to the month
+// length and keeping the time of day of `time`
+const monthDay = (year, month, day, time) => {
+    const last = daysInMonth(year, month);
+    const date = new Date(time);
+    date.setUTCFullYear(year, month, day === -1 ? last : Math.min(day, last));
+    return date;
+};
+
+// First occurrence strictly after `from` for the given rule
+const nextOccurrence = (from, rule) => {
+    const date = new Date(from);
+    const interval = rule.interval || 1;
+
+    if (rule.freq === 'DAILY') {
+        date.setUTCDate(date.getUTCDate() + interval);
+        return date;
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        if (!rule.byDay || !rule.byDay.length) {
+            date.setUTCDate(date.getUTCDate() + 7 * interval);
+            return date;
+        }
+        // Weeks start on Monday (RRULE default WKST=MO)
+        const weekIndex = (day) => (day + 6) % 7;
+        const days = rule.byDay.map(day => weekIndex(WEEKDAYS.indexOf(day))).sort((a, b) => a - b);
+        const current = weekIndex(date.getUTCDay());
+        const later = days.find(day => day > current);
+        const offset = later !== undefined
+            ? later - current
+            : 7 * interval - current + days[0];
+        date.setUTCDate(date.getUTCDate() + offset);
+        return date;
+    }
+
+    // MONTHLY
+    const day = rule.byMonthDay || date.getUTCDate();
+    const sameMonth = monthDay(date.getUTCFullYear(), date.getUTCMonth(), day, date);
+    if (sameMonth > date) return sameMonth;
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + interval, 1));
+    return monthDay(target.getUTCFullYear(), target.getUTCMonth(), day, date);
+};
+
+// Fields of the task that follows `task` (a document or plain object) once
+// it is completed: the same task, due at the rule's next date and with one
+// occurrence fewer to go. Returns null if the rule is exhausted.
+const nextInstance = (task) => {
+    const rule = task.recurrence;
+    if (!rule || (rule.count && rule.count <= 1)) return null;
+
+    const base = task.dueDate || new Date();
+    const dueDate = nextOccurrence(base, rule);
+    if (rule.until && dueDate > rule.until) return null;
+
+    return {
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        owner: task.owner,
+        sharedWith: task.sharedWith,
+        parent: task.parent,
+        project: task.project,
+        labels: task.labels,
+        remindBefore: task.remindBefore,
+        dueDate,
+        recurrence: {
+            freq: rule.freq,
+            interval: rule.interval,
+            byDay: rule.byDay && rule.byDay.length ? rule.byDay : undefined,
+            // Pin monthly rules to the original day so short months don't make it drift
+            byMonthDay: rule.freq === 'MONTHLY' ? (rule.byMonthDay || base.getUTCDate()) : undefined,
+            count: rule.count ? rule.count - 1 : undefined,
+            until: rule.until
+        }
+    };
+};
+
+// Normalise the recurrence field of a create/update body in place
+const prepareRecurrence = (changes) => {
+    if (changes.recurrence !== undefined) {
+        changes.recurrence = parseRecurrence(changes.recurrence);
+    }
+    return changes;
+};
+
+module.exports = { WEEKDAYS, parseRecurrence, nextOccurrence, nextInstance, prepareRecurrence };
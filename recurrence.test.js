@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecurrence, nextOccurrence, nextInstance } = require('./recurrence');
+
+// ========================
+// RECURRENCE TESTS
+// ========================
+// Run with: node --test recurrence.test.js
+
+const at = iso => new Date(iso);
+
+test('parseRecurrence', async (t) => {
+    await t.test('reads RRULE strings and objects alike', () => {
+        const fromString = parseRecurrence('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=3');
+        const fromObject = parseRecurrence({ freq: 'WEEKLY', interval: 2, byDay: ['MO', 'FR'], count: 3 });
+        assert.deepStrictEqual(fromString, fromObject);
+    });
+
+    await t.test('rejects parts that do not fit the frequency', () => {
+        assert.throws(() => parseRecurrence('FREQ=DAILY;BYDAY=MO'), { status: 400 });
+        assert.throws(() => parseRecurrence({ freq: 'WEEKLY', byMonthDay: 3 }), { status: 400 });
+        assert.throws(() => parseRecurrence('FREQ=HOURLY'), { status: 400 });
+    });
+
+    await t.test('accepts the empty byDay a stored daily rule comes back with', () => {
+        assert.strictEqual(parseRecurrence({ freq: 'DAILY', byDay: [] }).freq, 'DAILY');
+    });
+});
+
+test('nextOccurrence', async (t) => {
+    await t.test('steps daily and weekly rules', () => {
+        assert.deepStrictEqual(nextOccurrence(at('2026-10-19T09:00:00Z'), { freq: 'DAILY', interval: 2 }), at('2026-10-21T09:00:00Z'));
+        // Monday -> Friday of the same week, then Monday two weeks on
+        const rule = { freq: 'WEEKLY', interval: 2, byDay: ['MO', 'FR'] };
+        assert.deepStrictEqual(nextOccurrence(at('2026-10-19T09:00:00Z'), rule), at('2026-10-23T09:00:00Z'));
+        assert.deepStrictEqual(nextOccurrence(at('2026-10-23T09:00:00Z'), rule), at('2026-11-02T09:00:00Z'));
+    });
+
+    await t.test('clamps monthly rules to short months', () => {
+        const rule = { freq: 'MONTHLY', interval: 1, byMonthDay: 31 };
+        assert.deepStrictEqual(nextOccurrence(at('2026-01-31T09:00:00Z'), rule), at('2026-02-28T09:00:00Z'));
+    });
+});
+
+test('nextInstance', async (t) => {
+    const task = {
+        title: 'Weekly report',
+        description: 'Send it to the team',
+        priority: 'high',
+        owner: 'owner-id',
+        sharedWith: [{ user: 'editor-id', access: 'editor' }],
+        parent: 'parent-id',
+        project: 'project-id',
+        labels: ['label-a', 'label-b'],
+        remindBefore: 60,
+        dueDate: at('2026-10-19T09:00:00Z'),
+        recurrence: { freq: 'WEEKLY', interval: 1, byDay: [], count: 3 }
+    };
+
+    await t.test('copies the task, project and labels included', () => {
+        const next = nextInstance(task);
+        ['title', 'description', 'priority', 'owner', 'sharedWith', 'parent', 'project', 'labels', 'remindBefore']
+            .forEach(field => assert.deepStrictEqual(next[field], task[field], field));
+    });
+
+    await t.test('is due at the next date with one occurrence fewer to go', () => {
+        const next = nextInstance(task);
+        assert.deepStrictEqual(next.dueDate, at('2026-10-26T09:00:00Z'));
+        assert.strictEqual(next.recurrence.count, 2);
+        assert.strictEqual(next.recurrence.byDay, undefined);
+    });
+
+    await t.test('pins monthly rules to the original day', () => {
+        const monthly = { ...task, dueDate: at('2026-01-31T09:00:00Z'), recurrence: { freq: 'MONTHLY', interval: 1 } };
+        assert.strictEqual(nextInstance(monthly).recurrence.byMonthDay, 31);
+    });
+
+    await t.test('stops when the rule is exhausted', () => {
+        assert.strictEqual(nextInstance({ ...task, recurrence: { ...task.recurrence, count: 1 } }), null);
+        assert.strictEqual(nextInstance({ ...task, recurrence: { ...task.recurrence, until: at('2026-10-20T00:00:00Z') } }), null);
+        assert.strictEqual(nextInstance({ ...task, recurrence: null }), null);
+    });
+});
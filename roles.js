@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+
+// ========================
+// ROLES AND PERMISSIONS
+// ========================
+// Roles live in MongoDB and grant permissions named "resource:action", such
+// as "users:delete". Routes ask for a permission rather than a role name, so
+// adding a role or changing what it may do is an admin API call instead of a
+// code change and a redeploy. The "*" permission grants everything.
+//
+// Roles can inherit from other roles and get all of their permissions, e.g.
+// admin inherits moderator, which inherits user. A role's effective
+// permissions are its own plus those of every role above it. Inheritance
+// can't loop back on itself.
+//
+// Effective permissions are cached in memory. Changes made through the
+// store clear the cache straight away; CACHE_TTL_MS bounds how long another
+// server process can keep using a role's old permissions.
+
+const CACHE_TTL_MS = 60 * 1000;
+const WILDCARD = '*';
+const PERMISSION_PATTERN = /^[a-z][a-z0-9-]*:[a-z][a-z0-9-]*$/;
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const permissionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        match: PERMISSION_PATTERN
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Seeded by the server; can't be removed
+    builtIn: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        match: ROLE_NAME_PATTERN
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    permissions: {
+        type: [String],
+        default: []
+    },
+    // Names of the roles this one inherits permissions from
+    inherits: {
+        type: [String],
+        default: []
+    },
+    // Seeded by the server; can't be deleted
+    builtIn: {
+        type: Boolean,
+        default: false
+    }
+}, { timestamps: true });
+
+// Does a set of held permissions include every wanted one?
+const covers = (held, wanted) => held.has(WILDCARD) || [...wanted].every(permission => held.has(permission));
+
+// Every role reachable from `name` through inheritance, mapped to the path
+// that reaches it (starting with `name`). Breadth-first, so the path is the
+// shortest one and nearer roles come first. `roles` maps names to documents.
+const walk = (roles, name) => {
+    const paths = new Map();
+    const queue = [[name]];
+    while (queue.length) {
+        const path = queue.shift();
+        const current = path[path.length - 1];
+        if (paths.has(current) || !roles.has(current)) continue;
+
+        paths.set(current, path);
+        (roles.get(current).inherits || []).forEach(parent => queue.push([...path, parent]));
+    }
+    return paths;
+};
+
+// Build a role store whose records live on `connection` (a mongoose
+// connection, or mongoose itself for the default one)
+const createRoleStore = (connection) => {
+    const Permission = connection.models.Permission || connection.model('Permission', permissionSchema);
+    const Role = connection.models.Role || connection.model('Role', roleSchema);
+
+    const cache = new Map();
+
+    // Forget the cached permissions. A change to one role can affect every
+    // role that inherits from it, so the whole cache goes.
+    const invalidate = () => cache.clear();
+
+    const loadRoles = async () => new Map((await Role.find().lean()).map(role => [role.name, role]));
+
+    // Create the built-in permissions and roles if they are missing. Roles an
+    // admin already changed keep their changes; built-in roles from before
+    // inheritance existed get their default parents.
+    const seed = async ({ permissions = [], roles = [] }) => {
+        await Promise.all(permissions.map(({ name, description }) => Permission.updateOne(
+            { name },
+            { $set: { description, builtIn: true } },
+            { upsert: true }
+        )));
+        await Promise.all(roles.map(async ({ name, ...role }) => {
+            await Role.updateOne(
+                { name },
+                { $setOnInsert: { ...role, builtIn: true } },
+                { upsert: true }
+            );
+            await Role.updateOne(
+                { name, inherits: { $exists: false } },
+                { $set: { inherits: role.inherits || [] } }
+            );
+        }));
+        invalidate();
+    };
+
+    // The role and the roles it inherits from (nearest first), and the
+    // permissions they grant together. Unknown roles get nothing.
+    const resolve = async (name) => {
+        const cached = cache.get(name);
+        if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+            return cached;
+        }
+
+        const roles = await loadRoles();
+        const lineage = [...walk(roles, name).keys()];
+        const permissions = new Set(lineage.flatMap(role => roles.get(role).permissions));
+        const resolved = { lineage, permissions, loadedAt: Date.now() };
+        cache.set(name, resolved);
+        return resolved;
+    };
+
+    // Set of the permissions a role grants, inherited ones included
+    const permissionsFor = async (name) => (await resolve(name)).permissions;
+
+    // The role and every role it inherits from, nearest first
+    const lineage = async (name) => (await resolve(name)).lineage;
+
+    // Why a role does or doesn't grant a permission. Resolves to
+    // { allowed, role, grantedBy, path, lineage } where grantedBy is the
+    // nearest role holding the permission (or "*") and path leads from `name`
+    // to it through inheritance.
+    const explain = async (name, permission) => {
+        const roles = await loadRoles();
+        const paths = walk(roles, name);
+        const explanation = { allowed: false, role: name, grantedBy: null, path: [], lineage: [...paths.keys()] };
+        if (!roles.has(name)) {
+            return { ...explanation, reason: `Role ${name} does not exist` };
+        }
+
+        for (const [role, path] of paths) {
+            const held = roles.get(role).permissions;
+            if (held.includes(permission) || held.includes(WILDCARD)) {
+                const how = held.includes(permission) ? permission : `every permission (${WILDCARD})`;
+                return {
+                    ...explanation,
+                    allowed: true,
+                    grantedBy: role,
+                    path,
+                    reason: role === name
+                        ? `Role ${name} grants ${how}`
+                        : `Role ${name} inherits ${how} from ${path.slice(1).join(' -> ')}`
+                };
+            }
+        }
+        return {
+            ...explanation,
+            reason: `Neither ${name} nor any role it inherits from (${explanation.lineage.slice(1).join(', ') || 'none'}) grants ${permission}`
+        };
+    };
+
+    // Does the role grant every one of `permissions`?
+    const can = async (name, ...permissions) => covers(await permissionsFor(name), permissions);
+
+    const exists = async (name) => typeof name === 'string' && Boolean(await Role.exists({ name }));
+
+    const listRoles = () => Role.find().sort({ name: 1 }).lean();
+
+    const getRole = (name) => Role.findOne({ name }).lean();
+
+    const listPermissions = () => Permission.find().sort({ name: 1 }).lean();
+
+    // Throws a 400 unless every name is "*" or a known permission
+    const checkPermissionNames = async (permissions) => {
+        if (!Array.isArray(permissions) || permissions.some(name => typeof name !== 'string')) {
+            throw httpError(400, 'permissions must be an array of permission names');
+        }
+        const named = [...new Set(permissions)].filter(name => name !== WILDCARD);
+        const known = await Permission.find({ name: { $in: named } }).distinct('name');
+        const unknown = named.filter(name => !known.includes(name));
+        if (unknown.length) {
+            throw httpError(400, `Unknown permission(s): ${unknown.join(', ')}`);
+        }
+        return [...new Set(permissions)];
+    };
+
+    // Throws a 400 unless every parent exists and inheriting from them would
+    // not lead back to `name`
+    const checkInherits = async (name, inherits) => {
+        if (!Array.isArray(inherits) || inherits.some(parent => typeof parent !== 'string')) {
+            throw httpError(400, 'inherits must be an array of role names');
+        }
+        const roles = await loadRoles();
+        const parents = [...new Set(inherits)];
+
+        const unknown = parents.filter(parent => !roles.has(parent));
+        if (unknown.length) {
+            throw httpError(400, `Unknown role(s) to inherit from: ${unknown.join(', ')}`);
+        }
+        for (const parent of parents) {
+            const path = walk(roles, parent).get(name);
+            if (parent === name || path) {
+                throw httpError(400, `Inheriting from ${parent} would create a cycle: ${[name, ...(path || [parent])].join(' -> ')}`);
+            }
+        }
+        return parents;
+    };
+
+    const createPermission = async ({ name, description }) => {
+        if (typeof name !== 'string' || !PERMISSION_PATTERN.test(name)) {
+            throw httpError(400, 'Permission names look like "resource:action", e.g. "reports:export"');
+        }
+        if (await Permission.exists({ name })) {
+            throw httpError(409, `Permission ${name} already exists`);
+        }
+        return Permission.create({ name, description });
+    };
+
+    const createRole = async ({ name, description, permissions = [], inherits = [] }) => {
+        if (typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name)) {
+            throw httpError(400, 'Role names use lowercase letters, digits and dashes, starting with a letter');
+        }
+        if (await Role.exists({ name })) {
+            throw httpError(409, `Role ${name} already exists`);
+        }
+        const role = await Role.create({
+            name,
+            description,
+            permissions: await checkPermissionNames(permissions),
+            inherits: await checkInherits(name, inherits)
+        });
+        invalidate();
+        return role.toObject();
+    };
+
+    // Change a role's description, permissions or parents. Resolves to the
+    // updated role, or null if there is no such role.
+    const updateRole = async (name, { description, permissions, inherits }) => {
+        if (!(await Role.exists({ name }))) return null;
+
+        const changes = {};
+        if (description !== undefined) changes.description = String(description);
+        if (permissions !== undefined) changes.permissions = await checkPermissionNames(permissions);
+        if (inherits !== undefined) changes.inherits = await checkInherits(name, inherits);
+
+        const role = await Role.findOneAndUpdate({ name }, changes, { new: true, runValidators: true }).lean();
+        invalidate();
+        return role;
+    };
+
+    // Delete a custom role; resolves to it, or null if there is no such role.
+    // Refused while other roles inherit from it.
+    const deleteRole = async (name) => {
+        const role = await Role.findOne({ name }).lean();
+        if (!role) return null;
+        if (role.builtIn) {
+            throw httpError(400, `${name} is a built-in role and can't be deleted`);
+        }
+        const children = await Role.find({ inherits: name }).distinct('name');
+        if (children.length) {
+            throw httpError(409, `Role(s) ${children.join(', ')} inherit from ${name}`);
+        }
+        await Role.deleteOne({ _id: role._id });
+        invalidate();
+        return role;
+    };
+
+    return {
+        Role,
+        Permission,
+        seed,
+        invalidate,
+        permissionsFor,
+        lineage,
+        explain,
+        can,
+        exists,
+        listRoles,
+        getRole,
+        listPermissions,
+        createPermission,
+        createRole,
+        updateRole,
+        deleteRole
+    };
+};
+
+module.exports = { createRoleStore, covers, WILDCARD };
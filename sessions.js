@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+// ========================
+// LOGIN SESSIONS
+// ========================
+// Every login creates a session recording the device (user agent), IP and
+// when it was last seen. Access tokens carry the session id in a `sid` claim
+// and the auth middleware refuses tokens whose session was revoked, which is
+// how a stolen or forgotten login is ended before its token expires.
+
+// Don't write lastSeenAt on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Refresh token family the session belongs to (jwtbcrypt.js only)
+    family: {
+        type: String,
+        index: true
+    },
+    userAgent: String,
+    device: String,
+    ip: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenIp: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout-all', 'user', 'admin', 'password-reset', 'reuse', 'deactivated', 'role-change'],
+        default: null
+    }
+});
+
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Short human-readable device name from a user agent, e.g. "Firefox on Linux"
+const describeDevice = (userAgent = '') => {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /OPR\//.test(userAgent) ? 'Opera'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : /^curl\//.test(userAgent) ? 'curl'
+        : null;
+    const os = /Windows/.test(userAgent) ? 'Windows'
+        : /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : null;
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+};
+
+// Build a session store whose records live on `connection` (a mongoose
+// connection, or mongoose itself for the default one)
+const createSessionStore = (connection) => {
+    const Session = connection.models.Session || connection.model('Session', sessionSchema);
+
+    // Record a new login from `req`
+    const start = ({ user, req, expiresAt, family }) => {
+        const userAgent = req.get('user-agent') || '';
+        return Session.create({
+            user,
+            family,
+            userAgent,
+            device: describeDevice(userAgent),
+            ip: req.ip,
+            lastSeenIp: req.ip,
+            expiresAt
+        });
+    };
+
+    // The session if it is still active, noting that it was just seen; else null
+    const validate = async (sessionId, req) => {
+        if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+        const now = new Date();
+        const session = await Session.findOne({
+            _id: sessionId,
+            revokedAt: null,
+            expiresAt: { $gt: now }
+        }).lean();
+        if (!session) return null;
+
+        if (now - session.lastSeenAt > LAST_SEEN_RESOLUTION_MS || session.lastSeenIp !== req.ip) {
+            await Session.updateOne({ _id: session._id }, { lastSeenAt: now, lastSeenIp: req.ip });
+        }
+        return session;
+    };
+
+    // Session a refresh token family belongs to, revoked and expired ones
+    // included, or null for families from before sessions existed
+    const forFamily = (family) => Session.findOne({ family });
+
+    // Keep a session alive until `expiresAt` (e.g. after a token refresh)
+    const extend = (sessionId, expiresAt) => Session.updateOne({ _id: sessionId }, { expiresAt, lastSeenAt: new Date() });
+
+    // A user's active sessions, most recently seen first
+    const list = (user) => Session.find({
+        user,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 }).lean();
+
+    // Revoke one of a user's sessions; resolves to it, or null if not found
+    const revoke = (user, sessionId, reason) => {
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) return Promise.resolve(null);
+        return Session.findOneAndUpdate(
+            { _id: sessionId, user, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: reason },
+            { new: true }
+        ).lean();
+    };
+
+    // Revoke the session belonging to a refresh token family
+    const revokeFamily = (family, reason) => Session.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    // Revoke all of a user's sessions; resolves to how many were active
+    const revokeAll = async (user, reason) => {
+        const result = await Session.updateMany(
+            { user, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+        return result.modifiedCount !== undefined ? result.modifiedCount : result.nModified;
+    };
+
+    return { Session, start, validate, forFamily, extend, list, revoke, revokeFamily, revokeAll };
+};
+
+// Session as shown to its user
+const describeSession = (session, currentSessionId) => ({
+    id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    lastSeenIp: session.lastSeenIp,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId)
+});
+
+module.exports = { createSessionStore, describeSession, describeDevice };
@@ -0,0 +1,51 @@
+// ========================
+// TASK FIELDS
+// ========================
+// What a client may write to a task. Bodies are turned into updates through
+// an allow-list, never by removing forbidden fields: a blacklist that drops
+// "owner" does nothing against { "$set": { "owner": ... } }. Keys that MongoDB
+// would read as an operator ("$set") or a path ("sharedWith.0.user") are
+// refused outright, at any depth.
+
+// Fields a client controls; anything else in a body is ignored. Ownership
+// is changed through the share routes and the remaining fields are
+// maintained by the server. PUT replaces all of them (missing ones fall back
+// to their defaults) and PATCH documents are applied to them.
+const EDITABLE_FIELDS = [
+    'title', 'description', 'completed', 'parent', 'blockedBy',
+    'dueDate', 'priority', 'recurrence', 'remindBefore', 'project', 'labels'
+];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// First key in `value` (or anything nested in it) that starts with "$" or
+// contains ".", or null
+const findOperatorKey = (value) => {
+    if (!value || typeof value !== 'object') return null;
+    for (const [key, nested] of Object.entries(value)) {
+        if (key.startsWith('$') || key.includes('.')) return key;
+        const found = findOperatorKey(nested);
+        if (found) return found;
+    }
+    return null;
+};
+
+// The fields of a body a client may set. Throws a 400 for anything that
+// isn't a plain object or holds operator or dotted keys.
+const editableFields = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw httpError(400, 'The task must be an object');
+    }
+    const operator = findOperatorKey(body);
+    if (operator) {
+        throw httpError(400, `Field names can't start with "$" or contain "." (got "${operator}")`);
+    }
+
+    const update = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) update[field] = body[field];
+    });
+    return update;
+};
+
+module.exports = { EDITABLE_FIELDS, editableFields, findOperatorKey };
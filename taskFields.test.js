@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { editableFields } = require('./taskFields');
+
+// ========================
+// TASK FIELD TESTS
+// ========================
+// Run with: node --test taskFields.test.js
+
+const OWNER = '64b000000000000000000001';
+
+test('editableFields', async (t) => {
+    await t.test('keeps the fields a client controls', () => {
+        const body = { title: 'Report', completed: false, labels: ['64b000000000000000000002'] };
+        assert.deepStrictEqual(editableFields(body), body);
+    });
+
+    await t.test('ignores server-maintained and ownership fields', () => {
+        const update = editableFields({
+            title: 'Report',
+            owner: OWNER,
+            sharedWith: [{ user: OWNER, access: 'editor' }],
+            nextOccurrence: null,
+            deletedAt: null,
+            __v: 7
+        });
+        assert.deepStrictEqual(update, { title: 'Report' });
+    });
+
+    await t.test('rejects a $set payload instead of passing it to the query', () => {
+        const payload = {
+            $set: { owner: OWNER, sharedWith: [{ user: OWNER, access: 'editor' }], completed: true }
+        };
+        assert.throws(() => editableFields(payload), (error) => {
+            assert.strictEqual(error.status, 400);
+            assert.match(error.message, /"\$set"/);
+            return true;
+        });
+    });
+
+    await t.test('rejects operators and dotted paths nested in allowed fields', () => {
+        assert.throws(() => editableFields({ title: 'x', $push: { blockedBy: OWNER } }), { status: 400 });
+        assert.throws(() => editableFields({ recurrence: { $set: { count: 1 } } }), { status: 400 });
+        assert.throws(() => editableFields({ 'sharedWith.0.user': OWNER }), { status: 400 });
+    });
+
+    await t.test('rejects bodies that are not objects', () => {
+        assert.throws(() => editableFields(null), { status: 400 });
+        assert.throws(() => editableFields([{ title: 'x' }]), { status: 400 });
+    });
+});
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// ========================
+// TOTP (RFC 6238) HELPERS
+// ========================
+// Shared by jwtbcrypt.js and rbac.js. Defaults match what authenticator apps
+// expect: SHA-1, 6 digits, 30 second steps.
+//
+// Enrollment QR codes need the "qrcode" package next to express and
+// mongoose (npm install qrcode), so both servers need it installed.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = text.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded as authenticator apps expect
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+// RFC 4226 HOTP value for a counter
+const hotp = (key, counter, digits = DIGITS) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Current code for a base32 secret
+const generateTotp = (secret, time = Date.now()) => hotp(base32Decode(secret), timeStep(time));
+
+// Check a code against the steps around `time` (window = steps of clock
+// drift tolerated either side). Returns the matching step, or null. Steps at
+// or before lastUsedStep are refused so a code can't be replayed.
+const verifyTotp = (secret, code, { window = 1, lastUsedStep = null, time = Date.now() } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+
+    const key = base32Decode(secret);
+    const current = timeStep(time);
+    for (let step = current - window; step <= current + window; step++) {
+        if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+        const expected = hotp(key, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI understood by authenticator apps
+const otpauthUri = ({ secret, accountName, issuer }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// PNG QR code of the URI as a data: URL, ready for an <img src>
+const qrCodeDataUrl = (uri) => QRCode.toDataURL(uri);
+
+// ========================
+// RECOVERY CODES
+// ========================
+
+// One-time codes like "a1b2c-3d4e5", shown to the user once
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// Codes are stored hashed; dashes, spaces and case don't matter when typed
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+module.exports = {
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    otpauthUri,
+    qrCodeDataUrl,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};